@@ -0,0 +1,101 @@
+/**
+ * Findings baseline (--baseline in run-all-traces.mjs, --tracer-baseline in tracer-nx.mjs): findings a workspace has accepted for now,
+ * so CI only fails on new ones
+ *
+ * The file lists { rule, taskId, subject } entries, where `rule` is a tracer config rule name
+ * (see FINDING_RULES) and `subject` what the finding is about (see getFindingSubject).
+ * Works on anything holding the report's finding arrays: a JSON report or one task's results.
+ * Used by tracer-nx.mjs and run-all-traces.mjs.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { FINDING_RULES, getFindingSubject } from './tracer-config.mjs';
+
+const BASELINE_VERSION = 1;
+
+function toEntry(rule, finding) {
+  return { rule, taskId: finding.taskId, subject: getFindingSubject(finding) };
+}
+
+function getEntryKey(entry) {
+  return `${entry.rule}\0${entry.taskId}\0${entry.subject}`;
+}
+
+/**
+ * Baseline entries for the findings of reports or task results, without duplicates
+ */
+export function getBaselineEntries(sources) {
+  const entries = new Map();
+  for (const source of sources) {
+    for (const [rule, key] of Object.entries(FINDING_RULES)) {
+      for (const finding of source[key] || []) {
+        const entry = toEntry(rule, finding);
+        entries.set(getEntryKey(entry), entry);
+      }
+    }
+  }
+  return [...entries.values()];
+}
+
+/**
+ * Read a baseline file's entries ([] when the file does not exist yet)
+ */
+export function readBaseline(file) {
+  if (!existsSync(file)) return [];
+  let baseline;
+  try {
+    baseline = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in baseline ${file}: ${err.message}`);
+  }
+  if (baseline?.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+    throw new Error(`Unsupported baseline ${file} (expected { "version": ${BASELINE_VERSION}, "findings": [...] })`);
+  }
+  return baseline.findings;
+}
+
+/**
+ * Record `entries` as the baseline of `taskIds` (the tasks analyzed in this run)
+ * Entries of other tasks already in the file are kept. Returns the number of entries written.
+ */
+export function writeBaseline(file, entries, taskIds) {
+  const analyzed = new Set(taskIds);
+  const findings = [...readBaseline(file).filter(e => !analyzed.has(e.taskId)), ...entries]
+    .sort((a, b) => a.taskId.localeCompare(b.taskId) || a.rule.localeCompare(b.rule) || a.subject.localeCompare(b.subject));
+  writeFileSync(file, JSON.stringify({ version: BASELINE_VERSION, findings }, null, 2) + '\n');
+  return findings.length;
+}
+
+/**
+ * Copy of a report or task result without the findings recorded in the baseline
+ */
+export function removeBaselineFindings(source, baseline) {
+  const known = new Set(baseline.map(getEntryKey));
+  const filtered = { ...source };
+  for (const [rule, key] of Object.entries(FINDING_RULES)) {
+    if (!source[key]) continue;
+    filtered[key] = source[key].filter(finding => !known.has(getEntryKey(toEntry(rule, finding))));
+  }
+  return filtered;
+}
+
+/**
+ * Baseline entries of `taskIds` that no longer occur in `entries`: fixed, and can be removed
+ */
+function getFixedBaselineEntries(baseline, entries, taskIds) {
+  const analyzed = new Set(taskIds);
+  const current = new Set(entries.map(getEntryKey));
+  return baseline.filter(e => analyzed.has(e.taskId) && !current.has(getEntryKey(e)));
+}
+
+/**
+ * Compare findings against a baseline: { knownCount, newFindings, fixedFindings } as baseline entries
+ * `entries` are all current findings, `remaining` the ones left after removeBaselineFindings.
+ */
+export function compareWithBaseline(baseline, entries, remaining, taskIds) {
+  return {
+    knownCount: entries.length - remaining.length,
+    newFindings: remaining,
+    fixedFindings: getFixedBaselineEntries(baseline, entries, taskIds),
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Tests for baseline.mjs
+ *
+ * Run with: node --test baseline.test.mjs
+ *
+ * Baseline files are written to a fresh temp directory per test.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compareWithBaseline, getBaselineEntries, readBaseline, removeBaselineFindings, writeBaseline } from './baseline.mjs';
+
+const report = {
+  undeclaredReads: [
+    { taskId: 'a:build', path: 'libs/a/schema.graphql' },
+    { taskId: 'b:build', path: 'libs/b/README.md' },
+  ],
+  undeclaredEnvReads: [{ taskId: 'a:build', name: 'API_URL' }],
+  unusedInputs: [{ taskId: 'a:build', input: 'production', pattern: '{projectRoot}/*.md' }],
+  overDeclaredOutputs: [{ taskId: 'a:build', output: '{projectRoot}/dist', kind: 'unused' }],
+};
+
+/**
+ * Run `fn` with the path of a baseline file in a fresh temp directory
+ */
+function withBaselineFile(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'io-tracer-baseline-'));
+  try {
+    return fn(join(dir, 'baseline.json'));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('turns findings into rule, task and subject entries, once each', () => {
+  assert.deepStrictEqual(getBaselineEntries([report, report]), [
+    { rule: 'undeclared-input', taskId: 'a:build', subject: 'libs/a/schema.graphql' },
+    { rule: 'undeclared-input', taskId: 'b:build', subject: 'libs/b/README.md' },
+    { rule: 'undeclared-env-input', taskId: 'a:build', subject: 'API_URL' },
+    { rule: 'unused-input', taskId: 'a:build', subject: 'production ({projectRoot}/*.md)' },
+    { rule: 'over-declared-output', taskId: 'a:build', subject: '{projectRoot}/dist (unused)' },
+  ]);
+});
+
+test('reads a missing baseline file as empty and rejects other formats', () => {
+  withBaselineFile((file) => {
+    assert.deepStrictEqual(readBaseline(file), []);
+    writeFileSync(file, '{ "findings": [] }');
+    assert.throws(() => readBaseline(file), /Unsupported baseline/);
+    writeFileSync(file, '{');
+    assert.throws(() => readBaseline(file), /Invalid JSON in baseline/);
+  });
+});
+
+test('writeBaseline replaces the analyzed tasks and keeps entries of other tasks', () => {
+  withBaselineFile((file) => {
+    writeBaseline(file, getBaselineEntries([report]), ['a:build', 'b:build']);
+
+    // a:build fixed everything but its env read; b:build was not analyzed this time
+    const count = writeBaseline(file, [{ rule: 'undeclared-env-input', taskId: 'a:build', subject: 'API_URL' }], ['a:build']);
+
+    assert.strictEqual(count, 2);
+    assert.deepStrictEqual(JSON.parse(readFileSync(file, 'utf-8')), {
+      version: 1,
+      findings: [
+        { rule: 'undeclared-env-input', taskId: 'a:build', subject: 'API_URL' },
+        { rule: 'undeclared-input', taskId: 'b:build', subject: 'libs/b/README.md' },
+      ],
+    });
+  });
+});
+
+test('removes baselined findings and leaves the rest of the report as it was', () => {
+  const baseline = [{ rule: 'undeclared-input', taskId: 'a:build', subject: 'libs/a/schema.graphql' }];
+  const filtered = removeBaselineFindings({ ...report, taskId: 'a:build' }, baseline);
+  assert.deepStrictEqual(filtered.undeclaredReads, [report.undeclaredReads[1]]);
+  assert.deepStrictEqual(filtered.undeclaredEnvReads, report.undeclaredEnvReads);
+  assert.strictEqual(filtered.taskId, 'a:build');
+});
+
+test('compareWithBaseline counts known findings and lists new and fixed ones of the analyzed tasks', () => {
+  const baseline = [
+    { rule: 'undeclared-input', taskId: 'a:build', subject: 'libs/a/schema.graphql' },
+    { rule: 'undeclared-input', taskId: 'a:build', subject: 'libs/a/old.txt' },
+    { rule: 'undeclared-input', taskId: 'c:build', subject: 'libs/c/old.txt' },
+  ];
+  const entries = getBaselineEntries([report]);
+  const remaining = getBaselineEntries([removeBaselineFindings(report, baseline)]);
+
+  const comparison = compareWithBaseline(baseline, entries, remaining, ['a:build', 'b:build']);
+
+  assert.strictEqual(comparison.knownCount, 1);
+  assert.deepStrictEqual(comparison.newFindings, remaining);
+  assert.strictEqual(comparison.newFindings.length, 4);
+  // c:build was not analyzed, so its entry is not reported as fixed
+  assert.deepStrictEqual(comparison.fixedFindings, [baseline[1]]);
+});
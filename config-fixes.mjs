@@ -0,0 +1,266 @@
+/**
+ * Text-level helpers for --tracer-fix: edit Nx JSON config files without reformatting them,
+ * and render the changes as unified diffs
+ *
+ * Edits are spliced into the original text, keeping the file's indentation, comments
+ * and inline arrays, so the resulting diff only shows the added entries.
+ */
+
+// ============================================================================
+// JSON editing
+// ============================================================================
+
+/**
+ * Parse JSON (with comments) into a tree of nodes that keep their text offsets
+ * Nodes: { type, start, end, value?, items?, properties? }; properties are { key, keyStart, value }.
+ */
+function parseJsonTree(text) {
+  let i = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid JSON at offset ${i}: ${message}`);
+  };
+
+  const skipWhitespace = () => {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+      } else if (text.startsWith('//', i)) {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end;
+      } else if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        if (end === -1) fail('unterminated comment');
+        i = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== '"') {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    if (i >= text.length) fail('unterminated string');
+    i++;
+    return { type: 'string', start, end: i, value: JSON.parse(text.slice(start, i)) };
+  };
+
+  // Parse a list of `open item, item close`, allowing a trailing comma
+  const parseList = (close, parseItem) => {
+    i++;
+    const entries = [];
+    skipWhitespace();
+    while (text[i] !== close) {
+      entries.push(parseItem());
+      skipWhitespace();
+      if (text[i] === ',') {
+        i++;
+        skipWhitespace();
+      } else if (text[i] !== close) {
+        fail(`expected "," or "${close}"`);
+      }
+    }
+    i++;
+    return entries;
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const start = i;
+    if (text[i] === '{') {
+      const properties = parseList('}', () => {
+        if (text[i] !== '"') fail('expected property name');
+        const key = parseString();
+        skipWhitespace();
+        if (text[i] !== ':') fail('expected ":"');
+        i++;
+        return { key: key.value, keyStart: key.start, value: parseValue() };
+      });
+      return { type: 'object', start, end: i, properties };
+    }
+    if (text[i] === '[') {
+      const items = parseList(']', parseValue);
+      return { type: 'array', start, end: i, items };
+    }
+    if (text[i] === '"') {
+      return parseString();
+    }
+    const literal = text.slice(i).match(/^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!literal) fail('unexpected token');
+    i += literal[0].length;
+    return { type: 'literal', start, end: i, value: JSON.parse(literal[0]) };
+  };
+
+  const root = parseValue();
+  skipWhitespace();
+  if (i < text.length) fail('unexpected content after JSON value');
+  return root;
+}
+
+/**
+ * Leading whitespace of the line containing `offset`
+ */
+function getLineIndent(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * The file's indentation unit (first indented line), defaulting to two spaces
+ */
+function detectIndentUnit(text) {
+  return text.match(/\n([ \t]+)\S/)?.[1] || '  ';
+}
+
+function isMultiline(text, node) {
+  return text.slice(node.start, node.end).includes('\n');
+}
+
+function insertArrayItems(text, array, values) {
+  const rendered = values.map(v => JSON.stringify(v));
+  if (array.items.length === 0) {
+    return text.slice(0, array.start) + `[${rendered.join(', ')}]` + text.slice(array.end);
+  }
+  const last = array.items[array.items.length - 1];
+  const insertion = isMultiline(text, array)
+    ? rendered.map(v => `,\n${getLineIndent(text, last.start)}${v}`).join('')
+    : rendered.map(v => `, ${v}`).join('');
+  return text.slice(0, last.end) + insertion + text.slice(last.end);
+}
+
+function insertProperty(text, object, key, value) {
+  const unit = detectIndentUnit(text);
+  // Render nested values with the file's indentation, continuing at `indent`
+  const render = (indent) => JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+
+  if (object.properties.length === 0) {
+    const closingIndent = getLineIndent(text, object.start);
+    const indent = closingIndent + unit;
+    return text.slice(0, object.start) +
+      `{\n${indent}${JSON.stringify(key)}: ${render(indent)}\n${closingIndent}}` +
+      text.slice(object.end);
+  }
+
+  const last = object.properties[object.properties.length - 1];
+  let insertion;
+  if (isMultiline(text, object)) {
+    const indent = getLineIndent(text, last.keyStart);
+    insertion = `,\n${indent}${JSON.stringify(key)}: ${render(indent)}`;
+  } else {
+    insertion = `, ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+  }
+  return text.slice(0, last.value.end) + insertion + text.slice(last.value.end);
+}
+
+/**
+ * Add string items to the array at `path` (e.g. ['targets', 'build', 'inputs']), keeping formatting
+ * Items already in the array are skipped. Missing objects along the path are created, and a
+ * missing array starts out as `initial` followed by the items.
+ * Returns the new text (unchanged if there was nothing to add).
+ */
+export function addToJsonArray(text, path, items, initial = []) {
+  let node = parseJsonTree(text);
+  let depth = 0;
+  while (depth < path.length && node.type === 'object') {
+    const property = node.properties.find(p => p.key === path[depth]);
+    if (!property) break;
+    node = property.value;
+    depth++;
+  }
+
+  if (depth === path.length) {
+    if (node.type !== 'array') {
+      throw new Error(`"${path.join('.')}" is not an array`);
+    }
+    const existing = new Set(node.items.filter(n => n.type === 'string').map(n => n.value));
+    const missing = [...new Set(items)].filter(item => !existing.has(item));
+    return missing.length > 0 ? insertArrayItems(text, node, missing) : text;
+  }
+
+  if (node.type !== 'object') {
+    throw new Error(`"${path.slice(0, depth).join('.')}" is not an object`);
+  }
+  let value = [...new Set([...initial, ...items])];
+  for (let k = path.length - 1; k > depth; k--) {
+    value = { [path[k]]: value };
+  }
+  return insertProperty(text, node, path[depth], value);
+}
+
+// ============================================================================
+// Unified diff
+// ============================================================================
+
+/**
+ * Render a unified diff (3 lines of context) between two versions of a file
+ * Returns '' when the texts are equal.
+ */
+export function createUnifiedDiff(file, before, after) {
+  if (before === after) return '';
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Only diff the changed middle: config edits are small, so this keeps the LCS table tiny
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let x = midA.length - 1; x >= 0; x--) {
+    for (let y = midB.length - 1; y >= 0; y--) {
+      lcs[x][y] = midA[x] === midB[y] ? lcs[x + 1][y + 1] + 1 : Math.max(lcs[x + 1][y], lcs[x][y + 1]);
+    }
+  }
+
+  // Edit script over the whole file: [op, line, oldLineNo, newLineNo]
+  const ops = a.slice(0, prefix).map((line, k) => [' ', line, k + 1, k + 1]);
+  let x = 0;
+  let y = 0;
+  while (x < midA.length || y < midB.length) {
+    if (x < midA.length && y < midB.length && midA[x] === midB[y]) {
+      ops.push([' ', midA[x], prefix + x + 1, prefix + y + 1]);
+      x++;
+      y++;
+    } else if (x < midA.length && (y === midB.length || lcs[x + 1][y] >= lcs[x][y + 1])) {
+      ops.push(['-', midA[x], prefix + x + 1, prefix + y + 1]);
+      x++;
+    } else {
+      ops.push(['+', midB[y], prefix + x + 1, prefix + y + 1]);
+      y++;
+    }
+  }
+  a.slice(a.length - suffix).forEach((line, k) => {
+    ops.push([' ', line, a.length - suffix + k + 1, b.length - suffix + k + 1]);
+  });
+
+  // Group changes into hunks with 3 lines of context on each side
+  const context = 3;
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+  let index = 0;
+  while (index < ops.length) {
+    const firstChange = ops.findIndex((op, k) => k >= index && op[0] !== ' ');
+    if (firstChange === -1) break;
+    const start = Math.max(index, firstChange - context);
+    let end = firstChange;
+    for (let k = firstChange; k < ops.length && k <= end + context * 2; k++) {
+      if (ops[k][0] !== ' ') end = k;
+    }
+    end = Math.min(ops.length - 1, end + context);
+
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+    lines.push(`@@ -${hunk[0][2]},${oldCount} +${hunk[0][3]},${newCount} @@`);
+    hunk.forEach(([op, line]) => lines.push(`${op}${line}`));
+    index = end + 1;
+  }
+
+  return lines.join('\n') + '\n';
+}
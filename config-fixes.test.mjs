@@ -0,0 +1,92 @@
+/**
+ * Tests for config-fixes.mjs
+ *
+ * Run with: node --test config-fixes.test.mjs
+ *
+ * Edits are checked on the exact text they produce: --tracer-fix must leave the rest of
+ * the file (comments, inline arrays, indentation) as it was.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { addToJsonArray, createUnifiedDiff } from './config-fixes.mjs';
+
+const projectJson = `{
+  // app
+  "name": "a",
+  "targets": {
+    "build": {
+      "inputs": ["default"]
+    }
+  }
+}
+`;
+
+test('adds missing items to an inline array, keeping it inline', () => {
+  const text = addToJsonArray(projectJson, ['targets', 'build', 'inputs'], ['default', '{projectRoot}/schema.graphql']);
+  assert.strictEqual(text, projectJson.replace('["default"]', '["default", "{projectRoot}/schema.graphql"]'));
+});
+
+test('adds items to a multi-line array on their own lines', () => {
+  const before = '{\n  "inputs": [\n    "default",\n    "^default"\n  ]\n}\n';
+  assert.strictEqual(
+    addToJsonArray(before, ['inputs'], ['{projectRoot}/a.txt']),
+    '{\n  "inputs": [\n    "default",\n    "^default",\n    "{projectRoot}/a.txt"\n  ]\n}\n',
+  );
+});
+
+test('returns the text unchanged when every item is already there', () => {
+  assert.strictEqual(addToJsonArray(projectJson, ['targets', 'build', 'inputs'], ['default']), projectJson);
+});
+
+test('creates a missing array from `initial` followed by the items', () => {
+  const text = addToJsonArray(projectJson, ['targets', 'build', 'outputs'], ['{projectRoot}/gen'], ['{options.outputPath}']);
+  assert.strictEqual(text, projectJson.replace(
+    '      "inputs": ["default"]\n',
+    '      "inputs": ["default"],\n      "outputs": [\n        "{options.outputPath}",\n        "{projectRoot}/gen"\n      ]\n',
+  ));
+});
+
+test('creates missing objects along the path', () => {
+  const text = addToJsonArray(projectJson, ['targets', 'test', 'inputs'], ['{projectRoot}/fixtures/**/*'], ['default']);
+  assert.deepStrictEqual(JSON.parse(text.replace('// app', '')).targets.test, {
+    inputs: ['default', '{projectRoot}/fixtures/**/*'],
+  });
+  assert.ok(text.startsWith('{\n  // app\n'));
+});
+
+test('throws when the path runs into something that is not an object or array', () => {
+  assert.throws(() => addToJsonArray(projectJson, ['name'], ['x']), /"name" is not an array/);
+  assert.throws(() => addToJsonArray(projectJson, ['name', 'inputs'], ['x']), /"name" is not an object/);
+});
+
+test('renders an empty diff for equal texts', () => {
+  assert.strictEqual(createUnifiedDiff('project.json', projectJson, projectJson), '');
+});
+
+test('renders a unified diff with 3 lines of context', () => {
+  const after = addToJsonArray(projectJson, ['targets', 'build', 'inputs'], ['{projectRoot}/schema.graphql']);
+  assert.strictEqual(createUnifiedDiff('libs/a/project.json', projectJson, after), [
+    '--- a/libs/a/project.json',
+    '+++ b/libs/a/project.json',
+    '@@ -3,7 +3,7 @@',
+    '   "name": "a",',
+    '   "targets": {',
+    '     "build": {',
+    '-      "inputs": ["default"]',
+    '+      "inputs": ["default", "{projectRoot}/schema.graphql"]',
+    '     }',
+    '   }',
+    ' }',
+    '',
+  ].join('\n'));
+});
+
+test('splits changes more than 6 lines apart into separate hunks', () => {
+  const before = Array.from({ length: 20 }, (_, k) => `line ${k + 1}`).join('\n');
+  const after = before.replace('line 2\n', 'line 2\nadded\n').replace('line 18\n', 'changed\n');
+  const diff = createUnifiedDiff('file.txt', before, after);
+  assert.deepStrictEqual(diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -1,5 +1,6 @@', '@@ -15,6 +16,6 @@']);
+  assert.match(diff, /\n\+added\n/);
+  assert.match(diff, /\n-line 18\n\+changed\n/);
+});
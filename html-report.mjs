@@ -0,0 +1,405 @@
+/**
+ * Self-contained HTML report for batch runs (results/report.html, written by run-all-traces.mjs)
+ *
+ * One static page with the data inlined and no external assets, so it opens offline:
+ * - a sortable task table with the number of findings per category
+ * - per-project drill-down: the project's findings and a file tree of what its tasks read and
+ *   wrote, each file marked declared or undeclared
+ * - a cross-project read matrix (reading project -> project read from)
+ * - filtering by finding category
+ *
+ * Built from tracer JSON reports (see buildJsonReport in tracer-nx.mjs).
+ */
+
+// Finding categories shown, by report key (the filters and table columns, in this order)
+const CATEGORIES = [
+  { key: 'undeclaredReads', label: 'Undeclared reads' },
+  { key: 'undeclaredWrites', label: 'Undeclared writes' },
+  { key: 'crossProjectReads', label: 'Cross-project reads' },
+  { key: 'negativeDependencies', label: 'Negative dependencies' },
+  { key: 'undeclaredEnvReads', label: 'Undeclared env reads' },
+  { key: 'undeclaredExternalDependencies', label: 'Undeclared external deps' },
+  { key: 'phantomDependencies', label: 'Phantom deps' },
+  { key: 'missingProjectDependencies', label: 'Missing graph edges' },
+  { key: 'missingTaskDependencies', label: 'Missing dependsOn' },
+  { key: 'externalAccess', label: 'External access' },
+  { key: 'unusedInputs', label: 'Unused inputs' },
+  { key: 'overDeclaredOutputs', label: 'Over-declared outputs' },
+];
+
+function getSubject(finding) {
+  if (finding.path) return finding.path;
+  if (finding.suggestedDependsOn) return `${finding.name} outputs (${finding.files.length} files): add "${finding.suggestedDependsOn}" to dependsOn`;
+  if (finding.files && finding.name) return `${finding.name} (${finding.files.length} files): add to implicitDependencies`;
+  if (finding.name) return finding.version ? `${finding.name}@${finding.version}` : finding.name;
+  if (finding.target) return `${finding.category}: ${finding.target}`;
+  if (finding.output) return `${finding.output} (${finding.kind})`;
+  if (finding.input) return `${finding.input}${finding.pattern && finding.pattern !== finding.input ? ` ${finding.pattern}` : ''} (${finding.files.length} files)`;
+  return JSON.stringify(finding);
+}
+
+/**
+ * The page's data: one row per task (dependencies traced along with a task included, once),
+ * findings as display strings and cross-project reads keyed by project name
+ */
+function buildReportData(reports, errors) {
+  // Cross-project reads carry the root of the project read from; each task's projectReads has the
+  // project name of every file it read in another project. Roots of the traced projects cover
+  // reports written before projectReads existed.
+  const projectOfRead = new Map();
+  const projectsByRoot = new Map();
+  for (const report of reports) {
+    for (const task of report.tasks) {
+      for (const { project, files } of task.projectReads || []) {
+        files.forEach(path => projectOfRead.set(`${task.taskId}\0${path}`, project));
+      }
+    }
+    for (const task of report.taskChain || []) {
+      if (task.root) projectsByRoot.set(task.root, task.taskId.slice(0, task.taskId.indexOf(':')));
+    }
+  }
+  const getProjectName = (f) => projectOfRead.get(`${f.taskId}\0${f.path}`) || projectsByRoot.get(f.project) || f.project;
+
+  const tasks = new Map();
+  for (const report of reports) {
+    for (const task of report.tasks) {
+      if (tasks.has(task.taskId)) continue;
+      const findings = {};
+      for (const { key } of CATEGORIES) {
+        findings[key] = (report[key] || []).filter(f => f.taskId === task.taskId).map(getSubject);
+      }
+      const crossProjectReads = (report.crossProjectReads || [])
+        .filter(f => f.taskId === task.taskId)
+        .map(f => ({ path: f.path, project: getProjectName(f) }));
+      findings.crossProjectReads = crossProjectReads.map(f => `${f.path} (${f.project})`);
+      tasks.set(task.taskId, {
+        taskId: task.taskId,
+        project: task.taskId.slice(0, task.taskId.indexOf(':')),
+        tracedWith: report.taskId ?? report.command,
+        exitCode: report.exitCode,
+        error: null,
+        findings,
+        crossProjectReads,
+        files: {
+          reads: (task.files?.reads || []).map(f => [f.path, f.declared]),
+          writes: (task.files?.writes || []).map(f => [f.path, f.declared]),
+        },
+      });
+    }
+  }
+  for (const { taskId, message } of errors) {
+    if (tasks.has(taskId)) continue;
+    tasks.set(taskId, {
+      taskId,
+      project: taskId.slice(0, taskId.indexOf(':')),
+      tracedWith: taskId,
+      exitCode: null,
+      error: message,
+      findings: Object.fromEntries(CATEGORIES.map(({ key }) => [key, []])),
+      crossProjectReads: [],
+      files: { reads: [], writes: [] },
+    });
+  }
+
+  return {
+    categories: CATEGORIES.map(({ key, label }) => ({ key, label })),
+    tasks: [...tasks.values()].sort((a, b) => a.taskId.localeCompare(b.taskId)),
+  };
+}
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 0 2em 4em; color: #222; }
+h1 { margin-top: 1em; }
+h2 { margin-top: 2em; border-bottom: 1px solid #ddd; }
+table { border-collapse: collapse; }
+th, td { padding: 3px 8px; border: 1px solid #ddd; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; cursor: pointer; user-select: none; white-space: nowrap; }
+td.num { text-align: right; }
+td.zero { color: #bbb; }
+tr.error td { background: #fdecea; }
+a { color: #0b5cad; cursor: pointer; }
+.filters label { margin-right: 1em; white-space: nowrap; }
+.bad { color: #b00020; }
+.ok { color: #1b7f3b; }
+.badge { font: 11px monospace; padding: 0 4px; border-radius: 3px; margin-left: 4px; color: #fff; }
+.badge.ok { background: #1b7f3b; }
+.badge.bad { background: #b00020; }
+ul.tree { list-style: none; padding-left: 1.2em; margin: 0; }
+ul.tree summary { cursor: pointer; }
+.matrix td { text-align: center; min-width: 2em; }
+.matrix td.hit { background: #fde2c8; cursor: pointer; }
+.matrix th.row { text-align: right; }
+details.project { margin: 4px 0; }
+details.project > summary { font-weight: bold; cursor: pointer; }
+.muted { color: #888; }
+`;
+
+// Runs in the browser and renders everything from the inlined data. No template literals or
+// `${`: this is one itself.
+const SCRIPT = `
+var data = JSON.parse(document.getElementById('report-data').textContent);
+var state = { sortKey: 'taskId', sortDir: 1, categories: {}, onlyFindings: false };
+data.categories.forEach(function (c) { state.categories[c.key] = true; });
+
+function el(tag, attrs, children) {
+  var node = document.createElement(tag);
+  Object.keys(attrs || {}).forEach(function (k) {
+    if (k === 'text') node.textContent = attrs[k];
+    else if (k === 'onclick') node.onclick = attrs[k];
+    else node.setAttribute(k, attrs[k]);
+  });
+  (children || []).forEach(function (c) { if (c) node.appendChild(typeof c === 'string' ? document.createTextNode(c) : c); });
+  return node;
+}
+
+function activeCategories() {
+  return data.categories.filter(function (c) { return state.categories[c.key]; });
+}
+
+function findingCount(task) {
+  return activeCategories().reduce(function (n, c) { return n + task.findings[c.key].length; }, 0);
+}
+
+function visibleTasks() {
+  return data.tasks.filter(function (t) { return !state.onlyFindings || t.error || findingCount(t) > 0; });
+}
+
+function renderFilters() {
+  var box = document.getElementById('filters');
+  box.textContent = '';
+  data.categories.forEach(function (c) {
+    var input = el('input', { type: 'checkbox' });
+    input.checked = state.categories[c.key];
+    input.onchange = function () { state.categories[c.key] = input.checked; render(); };
+    box.appendChild(el('label', {}, [input, ' ' + c.label]));
+  });
+  var only = el('input', { type: 'checkbox' });
+  only.checked = state.onlyFindings;
+  only.onchange = function () { state.onlyFindings = only.checked; render(); };
+  box.appendChild(el('label', {}, [only, ' Only tasks with findings or errors']));
+}
+
+function sortValue(task, key) {
+  if (key === 'taskId' || key === 'project') return task[key];
+  if (key === 'status') return task.error ? 2 : findingCount(task) > 0 ? 1 : 0;
+  if (key === 'total') return findingCount(task);
+  return task.findings[key].length;
+}
+
+function renderTable() {
+  var columns = [{ key: 'taskId', label: 'Task' }, { key: 'project', label: 'Project' }, { key: 'status', label: 'Status' }, { key: 'total', label: 'Findings' }]
+    .concat(activeCategories());
+  var head = el('tr', {}, columns.map(function (c) {
+    var arrow = state.sortKey === c.key ? (state.sortDir > 0 ? ' \\u25B2' : ' \\u25BC') : '';
+    return el('th', { text: c.label + arrow, onclick: function () {
+      state.sortDir = state.sortKey === c.key ? -state.sortDir : (c.key === 'taskId' || c.key === 'project' ? 1 : -1);
+      state.sortKey = c.key;
+      renderTable();
+    } });
+  }));
+  var tasks = visibleTasks().slice().sort(function (a, b) {
+    var x = sortValue(a, state.sortKey), y = sortValue(b, state.sortKey);
+    return (x < y ? -1 : x > y ? 1 : a.taskId.localeCompare(b.taskId)) * state.sortDir;
+  });
+  var rows = tasks.map(function (t) {
+    var count = findingCount(t);
+    var status = t.error ? el('span', { class: 'bad', text: 'Error: ' + t.error })
+      : count > 0 ? el('span', { class: 'bad', text: 'Findings' }) : el('span', { class: 'ok', text: 'OK' });
+    var cells = [
+      el('td', {}, [el('a', { text: t.taskId, onclick: function () { openProject(t.project, t.taskId); } })]),
+      el('td', {}, [el('a', { text: t.project, onclick: function () { openProject(t.project); } })]),
+      el('td', {}, [status]),
+      el('td', { class: 'num' + (count ? '' : ' zero'), text: String(count) }),
+    ].concat(activeCategories().map(function (c) {
+      var n = t.findings[c.key].length;
+      return el('td', { class: 'num' + (n ? '' : ' zero'), text: String(n) });
+    }));
+    return el('tr', { class: t.error ? 'error' : '' }, cells);
+  });
+  var table = document.getElementById('tasks');
+  table.textContent = '';
+  table.appendChild(el('thead', {}, [head]));
+  table.appendChild(el('tbody', {}, rows));
+  document.getElementById('task-count').textContent = tasks.length + ' of ' + data.tasks.length + ' tasks';
+}
+
+// Nested directories -> files, each file with its read/write status across the tasks
+function buildTree(tasks) {
+  var root = { dirs: {}, files: {} };
+  tasks.forEach(function (t) {
+    [['R', t.files.reads], ['W', t.files.writes]].forEach(function (pair) {
+      pair[1].forEach(function (entry) {
+        var parts = entry[0].split('/');
+        var node = root;
+        parts.slice(0, -1).forEach(function (p) { node = node.dirs[p] = node.dirs[p] || { dirs: {}, files: {} }; });
+        var file = node.files[parts[parts.length - 1]] = node.files[parts[parts.length - 1]] || {};
+        // Undeclared by any task wins
+        file[pair[0]] = file[pair[0]] === false ? false : entry[1];
+      });
+    });
+  });
+  return root;
+}
+
+function countUndeclared(node) {
+  var n = Object.keys(node.files).filter(function (f) { return node.files[f].R === false || node.files[f].W === false; }).length;
+  return Object.keys(node.dirs).reduce(function (sum, d) { return sum + countUndeclared(node.dirs[d]); }, n);
+}
+
+function renderTree(node) {
+  var list = el('ul', { class: 'tree' });
+  Object.keys(node.dirs).sort().forEach(function (name) {
+    var undeclared = countUndeclared(node.dirs[name]);
+    var summary = el('summary', {}, [name + '/', undeclared ? el('span', { class: 'bad', text: ' (' + undeclared + ' undeclared)' }) : null]);
+    var details = el('details', {}, [summary]);
+    if (undeclared) details.open = true;
+    details.appendChild(renderTree(node.dirs[name]));
+    list.appendChild(el('li', {}, [details]));
+  });
+  Object.keys(node.files).sort().forEach(function (name) {
+    var file = node.files[name];
+    var badges = ['R', 'W'].filter(function (k) { return k in file; }).map(function (k) {
+      return el('span', { class: 'badge ' + (file[k] ? 'ok' : 'bad'), title: (k === 'R' ? 'read, ' : 'written, ') + (file[k] ? 'declared' : 'undeclared'), text: k });
+    });
+    list.appendChild(el('li', {}, [name].concat(badges)));
+  });
+  return list;
+}
+
+function renderFindings(tasks) {
+  var box = el('div');
+  tasks.forEach(function (t) {
+    var lists = activeCategories().filter(function (c) { return t.findings[c.key].length; }).map(function (c) {
+      return el('div', {}, [el('b', { text: c.label }), el('ul', {}, t.findings[c.key].map(function (s) { return el('li', { text: s }); }))]);
+    });
+    var title = t.taskId + (t.tracedWith !== t.taskId ? ' (traced with ' + t.tracedWith + ')' : '');
+    box.appendChild(el('h4', { id: 'task-' + t.taskId, text: title }));
+    if (t.error) box.appendChild(el('p', { class: 'bad', text: 'Error: ' + t.error }));
+    else if (!lists.length) box.appendChild(el('p', { class: 'ok', text: 'No findings in the selected categories' }));
+    lists.forEach(function (l) { box.appendChild(l); });
+  });
+  return box;
+}
+
+function renderProjects() {
+  var box = document.getElementById('projects');
+  box.textContent = '';
+  var byProject = {};
+  visibleTasks().forEach(function (t) { (byProject[t.project] = byProject[t.project] || []).push(t); });
+  Object.keys(byProject).sort().forEach(function (project) {
+    var tasks = byProject[project];
+    var count = tasks.reduce(function (n, t) { return n + findingCount(t); }, 0);
+    var summary = el('summary', {}, [project + ' ', el('span', { class: count ? 'bad' : 'muted', text: '(' + tasks.length + ' tasks, ' + count + ' findings)' })]);
+    var details = el('details', { class: 'project', id: 'project-' + project }, [summary]);
+    // Rendered on first open: large workspaces have many files
+    details.ontoggle = function () {
+      if (!details.open || details.childNodes.length > 1) return;
+      details.appendChild(renderFindings(tasks));
+      details.appendChild(el('h4', { text: 'Files' }));
+      details.appendChild(renderTree(buildTree(tasks)));
+    };
+    box.appendChild(details);
+  });
+}
+
+function openProject(project, taskId) {
+  var details = document.getElementById('project-' + project);
+  if (!details) return;
+  details.open = true;
+  details.ontoggle();
+  var target = taskId ? document.getElementById('task-' + taskId) : details;
+  (target || details).scrollIntoView();
+}
+
+function renderMatrix() {
+  var box = document.getElementById('matrix');
+  box.textContent = '';
+  var cells = {};
+  var readers = {}, targets = {};
+  if (state.categories.crossProjectReads) {
+    visibleTasks().forEach(function (t) {
+      t.crossProjectReads.forEach(function (r) {
+        var key = t.project + '\\u0000' + r.project;
+        (cells[key] = cells[key] || []).push(t.taskId + ': ' + r.path);
+        readers[t.project] = true;
+        targets[r.project] = true;
+      });
+    });
+  }
+  var rows = Object.keys(readers).sort(), cols = Object.keys(targets).sort();
+  if (!rows.length) {
+    box.appendChild(el('p', { class: 'muted', text: 'No cross-project reads in the selected tasks' }));
+    return;
+  }
+  var files = el('pre');
+  var table = el('table', { class: 'matrix' }, [
+    el('tr', {}, [el('th', { text: 'reads \\u2193 / from \\u2192' })].concat(cols.map(function (c) { return el('th', { text: c }); }))),
+  ].concat(rows.map(function (r) {
+    return el('tr', {}, [el('th', { class: 'row', text: r })].concat(cols.map(function (c) {
+      var list = cells[r + '\\u0000' + c];
+      if (!list) return el('td');
+      return el('td', { class: 'hit', title: list.length + ' file(s)', text: String(list.length), onclick: function () {
+        files.textContent = r + ' reads from ' + c + ':\\n' + list.join('\\n');
+      } });
+    })));
+  })));
+  box.appendChild(table);
+  box.appendChild(files);
+}
+
+function render() {
+  renderFilters();
+  renderTable();
+  renderProjects();
+  renderMatrix();
+}
+
+render();
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the HTML report from tracer reports
+ * `errors` are traced tasks that produced no report: [{ taskId, message }].
+ * `summary` lines (e.g. the baseline comparison) are shown under the title.
+ */
+export function buildHtmlReport(reports, errors = [], { generatedAt = new Date().toISOString(), summary = [] } = {}) {
+  const data = buildReportData(reports, errors);
+  const withFindings = data.tasks.filter(t => CATEGORIES.some(({ key }) => t.findings[key].length > 0)).length;
+  // An error for a task that another report already covers adds no row
+  const failed = data.tasks.filter(t => t.error).length;
+  // Any `<` could end the inline script early (`</script>`) or open a comment (`<!--`)
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Nx I/O Tracing Results</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Nx I/O Tracing Results</h1>
+<p>Generated ${escapeHtml(generatedAt)}: ${data.tasks.length} tasks, ${withFindings} with findings, ${failed} failed to trace</p>
+${summary.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')}
+<h2>Filter</h2>
+<div id="filters" class="filters"></div>
+<h2>Tasks <span id="task-count" class="muted"></span></h2>
+<table id="tasks"></table>
+<h2>Projects</h2>
+<div id="projects"></div>
+<h2>Cross-Project Reads</h2>
+<div id="matrix"></div>
+<script type="application/json" id="report-data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -8,6 +8,13 @@
 #   - docker-compose.yml
 #   - Dockerfile
 #   - tracer-nx.mjs
+#   - io-tracer-preload.c (LD_PRELOAD shim for the unprivileged backend and --tracer-env)
+#   - io-tracer-env-hook.cjs (Node process.env hook for --tracer-env)
+#   - report-formats.mjs (SARIF and JUnit output)
+#   - config-fixes.mjs (--tracer-fix config edits)
+#   - tracer-config.mjs (io-tracer.config.json loading and validation)
+#   - baseline.mjs (--tracer-baseline files)
+#   - html-report.mjs (batch run HTML report)
 #
 # Then run: cd /path/to/nx-workspace/.nx/io-tracer && docker compose up -d
 #
@@ -36,6 +43,13 @@ mkdir -p "$TRACER_DIR"
 cp "$SCRIPT_DIR/Dockerfile" "$TRACER_DIR/"
 cp "$SCRIPT_DIR/tracer-nx.mjs" "$TRACER_DIR/"
 cp "$SCRIPT_DIR/run-all-traces.mjs" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/report-formats.mjs" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/config-fixes.mjs" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/tracer-config.mjs" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/baseline.mjs" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/html-report.mjs" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/io-tracer-preload.c" "$TRACER_DIR/"
+cp "$SCRIPT_DIR/io-tracer-env-hook.cjs" "$TRACER_DIR/"
 cp "$SCRIPT_DIR/AI.md" "$TRACER_DIR/"
 
 # Generate docker-compose.yml tailored for this workspace
@@ -113,14 +127,15 @@ cat > "$TRACER_DIR/trace.sh" << 'EOF'
 #!/bin/bash
 #
 # Trace an Nx task
-# Usage: ./trace.sh <project>:<target> [options]
+# Usage: ./trace.sh <project>:<target>|run-many|affected [options]
 # Example: ./trace.sh myapp:build --skipNxCache
+#          ./trace.sh affected -t lint,test --skipNxCache
 #
 
 set -e
 
 if [[ -z "$1" ]]; then
-  echo "Usage: ./trace.sh <project>:<target> [options]"
+  echo "Usage: ./trace.sh <project>:<target>|run-many|affected [options]"
   echo "Example: ./trace.sh myapp:build --skipNxCache"
   exit 1
 fi
@@ -182,6 +197,9 @@ docker compose exec tracer pnpm install
 ```bash
 ./trace.sh myapp:build --skipNxCache
 ./trace.sh mylib:test --skipNxCache
+
+# Trace every task of a run-many / affected command in one pass
+./trace.sh run-many -t build --skipNxCache
 ```
 
 > Always use `--skipNxCache` to ensure the task runs. Cached tasks have no I/O to trace.
@@ -0,0 +1,97 @@
+/**
+ * Node preload hook for the Nx I/O tracer's --tracer-env mode
+ *
+ * Loaded into every Node process of the traced command through NODE_OPTIONS=--require.
+ * Wraps process.env in a Proxy and appends "<pid>\t<taskId>\t<name>\tnode" to
+ * $IO_TRACER_ENV_LOG the first time the process reads a variable (`process.env.X` or
+ * `'X' in process.env`), whether or not it is set. Reads made by Node itself are skipped:
+ * copying the environment for a child process is not a read, the child's own reads are.
+ * Copies made by the program (`{ ...process.env }`, Object.assign, JSON.stringify) are skipped
+ * for the same reason: they list the keys, then read every one of them in order.
+ *
+ * The LD_PRELOAD shim (io-tracer-preload.c) logs libc getenv calls in the same format. Node's
+ * process.env goes through getenv as well, so the hook marks its process in
+ * IO_TRACER_ENV_HOOKED_PID and the shim leaves that process to the hook. The hook also works
+ * where the shim can't be loaded (macOS).
+ */
+
+'use strict';
+
+const { appendFileSync } = require('fs');
+
+const logFile = process.env.IO_TRACER_ENV_LOG;
+
+if (logFile) {
+  const env = process.env;
+  // Nx starts each task process with the task in its environment
+  const project = env.NX_TASK_TARGET_PROJECT;
+  const target = env.NX_TASK_TARGET_TARGET;
+  const taskId = project && target ? `${project}:${target}` : '';
+  const seen = new Set();
+  env.IO_TRACER_ENV_HOOKED_PID = String(process.pid);
+
+  // File of the function that accessed process.env (`trap` is the Proxy trap it called)
+  const getCallerFile = (trap) => {
+    const { prepareStackTrace, stackTraceLimit } = Error;
+    Error.prepareStackTrace = (_, frames) => frames;
+    Error.stackTraceLimit = 1;
+    const holder = {};
+    Error.captureStackTrace(holder, trap);
+    const frames = holder.stack;
+    Error.prepareStackTrace = prepareStackTrace;
+    Error.stackTraceLimit = stackTraceLimit;
+    return Array.isArray(frames) ? frames[0]?.getFileName() || '' : '';
+  };
+
+  const write = (name) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+    try {
+      appendFileSync(logFile, `${process.pid}\t${taskId}\t${name}\tnode\n`);
+    } catch {}
+  };
+
+  // After an enumeration (ownKeys), reads of the listed keys in order are held back: they are
+  // dropped once every key has been read (a copy), and logged as soon as the order breaks
+  let enumeration = null;
+  const endEnumeration = () => {
+    if (enumeration) enumeration.held.forEach(write);
+    enumeration = null;
+  };
+  const holdEnumerationRead = (name) => {
+    if (!enumeration || enumeration.keys[enumeration.held.length] !== name) return false;
+    enumeration.held.push(name);
+    if (enumeration.held.length === enumeration.keys.length) enumeration = null;
+    return true;
+  };
+  process.on('exit', endEnumeration);
+
+  const record = (name, trap) => {
+    endEnumeration();
+    if (seen.has(name) || getCallerFile(trap).startsWith('node:')) return;
+    write(name);
+  };
+
+  Object.defineProperty(process, 'env', {
+    value: new Proxy(env, {
+      get(obj, name) {
+        if (typeof name === 'string' && !holdEnumerationRead(name)) record(name, this.get);
+        return obj[name];
+      },
+      has(obj, name) {
+        if (typeof name === 'string') record(name, this.has);
+        return name in obj;
+      },
+      ownKeys(obj) {
+        const keys = Reflect.ownKeys(obj);
+        endEnumeration();
+        const names = keys.filter(key => typeof key === 'string');
+        if (names.length > 0) enumeration = { keys: names, held: [] };
+        return keys;
+      },
+    }),
+    configurable: true,
+    enumerable: true,
+    writable: true,
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Tests for io-tracer-env-hook.cjs
+ *
+ * Run with: node --test io-tracer-env-hook.test.cjs
+ *
+ * Each test runs a script in a fresh Node process with the hook loaded, the way --tracer-env
+ * does, and checks the variable names it logged.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const { mkdtempSync, readFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+const hook = join(__dirname, 'io-tracer-env-hook.cjs');
+
+/**
+ * Names the hook logged while `script` ran
+ */
+function traceEnvReads(script) {
+  const dir = mkdtempSync(join(tmpdir(), 'io-tracer-env-hook-'));
+  const logFile = join(dir, 'env.txt');
+  try {
+    execFileSync(process.execPath, ['--require', hook, '-e', script], {
+      env: {
+        PATH: process.env.PATH,
+        IO_TRACER_ENV_LOG: logFile,
+        NX_TASK_TARGET_PROJECT: 'app',
+        NX_TASK_TARGET_TARGET: 'build',
+        FIRST: '1',
+        SECOND: '2',
+      },
+    });
+    let log = '';
+    try {
+      log = readFileSync(logFile, 'utf-8');
+    } catch {}
+    return log.split('\n').filter(Boolean).map(line => line.split('\t')[2]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('logs direct reads and `in` checks, set or not', () => {
+  assert.deepStrictEqual(traceEnvReads("process.env.FIRST; 'UNSET' in process.env"), ['FIRST', 'UNSET']);
+});
+
+test('logs each variable once', () => {
+  assert.deepStrictEqual(traceEnvReads('process.env.FIRST; process.env.FIRST'), ['FIRST']);
+});
+
+test('skips copies of the whole environment', () => {
+  assert.deepStrictEqual(traceEnvReads('const copy = { ...process.env }'), []);
+  assert.deepStrictEqual(traceEnvReads('Object.assign({}, process.env)'), []);
+  assert.deepStrictEqual(traceEnvReads('JSON.stringify(process.env)').filter(n => n !== 'toJSON'), []);
+});
+
+test('logs reads after a copy', () => {
+  assert.deepStrictEqual(traceEnvReads('const copy = { ...process.env }; process.env.SECOND'), ['SECOND']);
+});
+
+test('logs reads that follow a key listing without reading every key', () => {
+  const script = 'const [first] = Object.keys(process.env).sort(); process.env[first]; process.env.UNSET';
+  const names = traceEnvReads(script);
+  assert.strictEqual(names.length, 2);
+  assert.strictEqual(names[1], 'UNSET');
+});
+
+test('logs an unfinished in-order read when the process exits', () => {
+  const names = traceEnvReads('process.env[Object.keys(process.env)[0]]');
+  assert.strictEqual(names.length, 1);
+});
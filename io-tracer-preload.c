@@ -0,0 +1,695 @@
+/*
+ * LD_PRELOAD shim for the Nx I/O tracer's unprivileged "preload" backend
+ *
+ * Interposes libc file functions (and connect) and appends one strace-style line per call to
+ * $IO_TRACER_LOG, with paths already resolved to absolute paths, so tracer-nx.mjs
+ * can reuse its strace parser. Needs no ptrace, eBPF or extra privileges.
+ *
+ * With $IO_TRACER_ENV_LOG set (--tracer-env), getenv calls are logged there too.
+ * File calls are only logged when $IO_TRACER_LOG is set, so the shim can be
+ * loaded for environment tracing alone under another backend.
+ *
+ * Blind spots (reported by the tracer):
+ *   - statically linked binaries (e.g. Go tools such as esbuild) don't load the shim
+ *   - code that issues raw syscalls instead of calling libc (e.g. libuv's statx),
+ *     including children created with a raw clone that never exec
+ *
+ * Build: cc -shared -fPIC -O2 -o io-tracer-preload.so io-tracer-preload.c -ldl
+ */
+
+#define _GNU_SOURCE
+#include <arpa/inet.h>
+#include <dirent.h>
+#include <dlfcn.h>
+#include <errno.h>
+#include <fcntl.h>
+#include <limits.h>
+#include <stdarg.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <netinet/in.h>
+#include <pthread.h>
+#include <sys/socket.h>
+#include <sys/stat.h>
+#include <sys/syscall.h>
+#include <unistd.h>
+
+#define REAL(name, type)                                   \
+  static __typeof__(type) real_##name = NULL;              \
+  if (!real_##name) real_##name = (__typeof__(type))dlsym(RTLD_NEXT, #name)
+
+static __thread int in_hook = 0;
+
+extern char **environ;
+
+/* Look up a variable in environ directly: getenv itself is interposed below */
+static const char *lookup_env(const char *name) {
+  size_t len = strlen(name);
+  for (char **e = environ; e && *e; e++) {
+    if (strncmp(*e, name, len) == 0 && (*e)[len] == '=') return *e + len + 1;
+  }
+  return NULL;
+}
+
+/*
+ * Append a line to a log file. The file is opened per write (with raw syscalls, so
+ * nothing here is interposed) because traced programs may close or reuse any fd
+ * we kept open; O_APPEND keeps lines from concurrent processes intact.
+ */
+static void append_line(const char *log_path, const char *line, size_t len) {
+  if (!log_path) return;
+  int fd = syscall(SYS_openat, AT_FDCWD, log_path, O_WRONLY | O_APPEND | O_CREAT | O_CLOEXEC, 0644);
+  if (fd < 0) return;
+  syscall(SYS_write, fd, line, len);
+  syscall(SYS_close, fd);
+}
+
+static void log_line(const char *line, size_t len) {
+  append_line(lookup_env("IO_TRACER_LOG"), line, len);
+}
+
+/* Resolve a path relative to dirfd (or the cwd) to an absolute path */
+static void resolve_path(int dirfd, const char *path, char *out, size_t size) {
+  char base[PATH_MAX];
+  long n;
+
+  if (!path || path[0] == '/') {
+    snprintf(out, size, "%s", path ? path : "");
+    return;
+  }
+
+  if (dirfd == AT_FDCWD) {
+    n = syscall(SYS_getcwd, base, sizeof(base));
+  } else {
+    char link[64];
+    snprintf(link, sizeof(link), "/proc/self/fd/%d", dirfd);
+    n = syscall(SYS_readlinkat, AT_FDCWD, link, base, sizeof(base) - 1);
+    if (n >= 0) base[n] = '\0';
+  }
+
+  if (n < 0) {
+    snprintf(out, size, "%s", path);
+  } else if (snprintf(out, size, "%s/%s", base, path) >= (int)size) {
+    out[size - 1] = '\0'; /* truncated */
+  }
+}
+
+/* Quote a string the way strace does, escaping quotes, backslashes and newlines */
+static void quote(const char *value, char *out, size_t size) {
+  size_t j = 0;
+  if (size < 3) return;
+  out[j++] = '"';
+  for (const char *p = value; *p && j + 3 < size; p++) {
+    if (*p == '"' || *p == '\\') {
+      out[j++] = '\\';
+      out[j++] = *p;
+    } else if (*p == '\n') {
+      out[j++] = '\\';
+      out[j++] = 'n';
+    } else {
+      out[j++] = *p;
+    }
+  }
+  out[j++] = '"';
+  out[j] = '\0';
+}
+
+static const char *open_flags(int flags) {
+  static __thread char buf[64];
+  const char *mode = (flags & O_ACCMODE) == O_WRONLY ? "O_WRONLY"
+                   : (flags & O_ACCMODE) == O_RDWR ? "O_RDWR"
+                   : "O_RDONLY";
+  snprintf(buf, sizeof(buf), "%s%s%s%s", mode,
+           flags & O_CREAT ? "|O_CREAT" : "",
+           flags & O_TRUNC ? "|O_TRUNC" : "",
+           flags & O_DIRECTORY ? "|O_DIRECTORY" : "");
+  return buf;
+}
+
+/*
+ * Log "<pid> <syscall>(<args>) = <result>" where args is a printf format with
+ * "%P" placeholders for paths (resolved against dirfd), "%S" for quoted strings,
+ * "%F" for open flags and "%R" for text copied as-is
+ */
+static void log_call(const char *syscall_name, long result, int saved_errno, int dirfd, const char *format, ...) {
+  char line[PATH_MAX * 2 + 256];
+  char resolved[PATH_MAX];
+  char quoted[PATH_MAX + 64];
+  size_t len;
+  va_list ap;
+
+  if (in_hook || !lookup_env("IO_TRACER_LOG")) return;
+  in_hook = 1;
+
+  len = snprintf(line, sizeof(line), "%ld %s(", (long)syscall(SYS_getpid), syscall_name);
+
+  va_start(ap, format);
+  for (const char *f = format; *f && len < sizeof(line) - 1; f++) {
+    if (f[0] == '%' && (f[1] == 'P' || f[1] == 'S')) {
+      const char *value = va_arg(ap, const char *);
+      if (f[1] == 'P') {
+        resolve_path(dirfd, value, resolved, sizeof(resolved));
+        quote(resolved, quoted, sizeof(quoted));
+      } else {
+        quote(value ? value : "", quoted, sizeof(quoted));
+      }
+      len += snprintf(line + len, sizeof(line) - len, "%s", quoted);
+      f++;
+    } else if (f[0] == '%' && f[1] == 'R') {
+      len += snprintf(line + len, sizeof(line) - len, "%s", va_arg(ap, const char *));
+      f++;
+    } else if (f[0] == '%' && f[1] == 'F') {
+      len += snprintf(line + len, sizeof(line) - len, "%s", open_flags(va_arg(ap, int)));
+      f++;
+    } else {
+      line[len++] = *f;
+    }
+  }
+  va_end(ap);
+
+  if (len < sizeof(line)) {
+    if (result < 0) {
+      const char *name = saved_errno == ENOENT ? "ENOENT" : saved_errno == ENOTDIR ? "ENOTDIR" : NULL;
+      if (name) {
+        len += snprintf(line + len, sizeof(line) - len, ") = -1 %s\n", name);
+      } else {
+        len += snprintf(line + len, sizeof(line) - len, ") = -1 E%d\n", saved_errno);
+      }
+    } else {
+      len += snprintf(line + len, sizeof(line) - len, ") = %ld\n", result);
+    }
+  }
+
+  if (len > sizeof(line)) len = sizeof(line);
+  log_line(line, len);
+  in_hook = 0;
+}
+
+/* ---------------------------------------------------------------------------
+ * open / creat / fopen
+ * ------------------------------------------------------------------------- */
+
+static int open_mode(int flags, va_list ap) {
+  return (flags & O_CREAT) || (flags & O_TMPFILE) == O_TMPFILE ? va_arg(ap, int) : 0;
+}
+
+#define DEFINE_OPEN(name)                                                     \
+  int name(const char *path, int flags, ...) {                                \
+    REAL(name, int (*)(const char *, int, ...));                              \
+    va_list ap;                                                               \
+    va_start(ap, flags);                                                      \
+    int mode = open_mode(flags, ap);                                          \
+    va_end(ap);                                                               \
+    int result = real_##name(path, flags, mode);                              \
+    int saved_errno = errno;                                                  \
+    log_call("openat", result, saved_errno, AT_FDCWD, "AT_FDCWD, %P, %F", path, flags); \
+    errno = saved_errno;                                                      \
+    return result;                                                            \
+  }
+
+#define DEFINE_OPENAT(name)                                                   \
+  int name(int dirfd, const char *path, int flags, ...) {                     \
+    REAL(name, int (*)(int, const char *, int, ...));                         \
+    va_list ap;                                                               \
+    va_start(ap, flags);                                                      \
+    int mode = open_mode(flags, ap);                                          \
+    va_end(ap);                                                               \
+    int result = real_##name(dirfd, path, flags, mode);                       \
+    int saved_errno = errno;                                                  \
+    log_call("openat", result, saved_errno, dirfd, "AT_FDCWD, %P, %F", path, flags); \
+    errno = saved_errno;                                                      \
+    return result;                                                            \
+  }
+
+DEFINE_OPEN(open)
+DEFINE_OPEN(open64)
+DEFINE_OPEN(__open_2)
+DEFINE_OPEN(__open64_2)
+DEFINE_OPENAT(openat)
+DEFINE_OPENAT(openat64)
+DEFINE_OPENAT(__openat_2)
+DEFINE_OPENAT(__openat64_2)
+
+#define DEFINE_CREAT(name)                                                    \
+  int name(const char *path, mode_t mode) {                                   \
+    REAL(name, int (*)(const char *, mode_t));                                \
+    int result = real_##name(path, mode);                                     \
+    int saved_errno = errno;                                                  \
+    log_call("openat", result, saved_errno, AT_FDCWD, "AT_FDCWD, %P, %F", path, O_WRONLY | O_CREAT | O_TRUNC); \
+    errno = saved_errno;                                                      \
+    return result;                                                            \
+  }
+
+DEFINE_CREAT(creat)
+DEFINE_CREAT(creat64)
+
+static int fopen_flags(const char *mode) {
+  int flags = mode[0] == 'r' ? O_RDONLY : O_WRONLY | O_CREAT;
+  if (mode[0] == 'w') flags |= O_TRUNC;
+  if (strchr(mode, '+')) flags = (flags & ~O_ACCMODE) | O_RDWR;
+  return flags;
+}
+
+#define DEFINE_FOPEN(name)                                                    \
+  FILE *name(const char *path, const char *mode) {                            \
+    REAL(name, FILE *(*)(const char *, const char *));                        \
+    FILE *result = real_##name(path, mode);                                   \
+    int saved_errno = errno;                                                  \
+    log_call("openat", result ? fileno(result) : -1, saved_errno, AT_FDCWD,   \
+             "AT_FDCWD, %P, %F", path, fopen_flags(mode));                    \
+    errno = saved_errno;                                                      \
+    return result;                                                            \
+  }
+
+DEFINE_FOPEN(fopen)
+DEFINE_FOPEN(fopen64)
+
+/* ---------------------------------------------------------------------------
+ * Existence probes: stat / access / readlink
+ * ------------------------------------------------------------------------- */
+
+#define LOG_PROBE(syscall_name, dirfd, path)                                  \
+  int saved_errno = errno;                                                    \
+  log_call(syscall_name, result, saved_errno, dirfd, "AT_FDCWD, %P", path);   \
+  errno = saved_errno
+
+int stat(const char *path, struct stat *buf) {
+  REAL(stat, int (*)(const char *, struct stat *));
+  int result = real_stat(path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int lstat(const char *path, struct stat *buf) {
+  REAL(lstat, int (*)(const char *, struct stat *));
+  int result = real_lstat(path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int stat64(const char *path, struct stat64 *buf) {
+  REAL(stat64, int (*)(const char *, struct stat64 *));
+  int result = real_stat64(path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int lstat64(const char *path, struct stat64 *buf) {
+  REAL(lstat64, int (*)(const char *, struct stat64 *));
+  int result = real_lstat64(path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int fstatat(int dirfd, const char *path, struct stat *buf, int flags) {
+  REAL(fstatat, int (*)(int, const char *, struct stat *, int));
+  int result = real_fstatat(dirfd, path, buf, flags);
+  LOG_PROBE("newfstatat", dirfd, path);
+  return result;
+}
+
+int fstatat64(int dirfd, const char *path, struct stat64 *buf, int flags) {
+  REAL(fstatat64, int (*)(int, const char *, struct stat64 *, int));
+  int result = real_fstatat64(dirfd, path, buf, flags);
+  LOG_PROBE("newfstatat", dirfd, path);
+  return result;
+}
+
+/* glibc < 2.33 routes stat() through these */
+int __xstat(int ver, const char *path, struct stat *buf) {
+  REAL(__xstat, int (*)(int, const char *, struct stat *));
+  int result = real___xstat(ver, path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int __lxstat(int ver, const char *path, struct stat *buf) {
+  REAL(__lxstat, int (*)(int, const char *, struct stat *));
+  int result = real___lxstat(ver, path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int __xstat64(int ver, const char *path, struct stat64 *buf) {
+  REAL(__xstat64, int (*)(int, const char *, struct stat64 *));
+  int result = real___xstat64(ver, path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int __lxstat64(int ver, const char *path, struct stat64 *buf) {
+  REAL(__lxstat64, int (*)(int, const char *, struct stat64 *));
+  int result = real___lxstat64(ver, path, buf);
+  LOG_PROBE("newfstatat", AT_FDCWD, path);
+  return result;
+}
+
+int __fxstatat(int ver, int dirfd, const char *path, struct stat *buf, int flags) {
+  REAL(__fxstatat, int (*)(int, int, const char *, struct stat *, int));
+  int result = real___fxstatat(ver, dirfd, path, buf, flags);
+  LOG_PROBE("newfstatat", dirfd, path);
+  return result;
+}
+
+int __fxstatat64(int ver, int dirfd, const char *path, struct stat64 *buf, int flags) {
+  REAL(__fxstatat64, int (*)(int, int, const char *, struct stat64 *, int));
+  int result = real___fxstatat64(ver, dirfd, path, buf, flags);
+  LOG_PROBE("newfstatat", dirfd, path);
+  return result;
+}
+
+int statx(int dirfd, const char *path, int flags, unsigned int mask, struct statx *buf) {
+  REAL(statx, int (*)(int, const char *, int, unsigned int, struct statx *));
+  int result = real_statx(dirfd, path, flags, mask, buf);
+  LOG_PROBE("newfstatat", dirfd, path);
+  return result;
+}
+
+int access(const char *path, int mode) {
+  REAL(access, int (*)(const char *, int));
+  int result = real_access(path, mode);
+  LOG_PROBE("faccessat", AT_FDCWD, path);
+  return result;
+}
+
+int faccessat(int dirfd, const char *path, int mode, int flags) {
+  REAL(faccessat, int (*)(int, const char *, int, int));
+  int result = real_faccessat(dirfd, path, mode, flags);
+  LOG_PROBE("faccessat", dirfd, path);
+  return result;
+}
+
+ssize_t readlink(const char *path, char *buf, size_t size) {
+  REAL(readlink, ssize_t (*)(const char *, char *, size_t));
+  ssize_t result = real_readlink(path, buf, size);
+  LOG_PROBE("readlinkat", AT_FDCWD, path);
+  return result;
+}
+
+ssize_t readlinkat(int dirfd, const char *path, char *buf, size_t size) {
+  REAL(readlinkat, ssize_t (*)(int, const char *, char *, size_t));
+  ssize_t result = real_readlinkat(dirfd, path, buf, size);
+  LOG_PROBE("readlinkat", dirfd, path);
+  return result;
+}
+
+/* ---------------------------------------------------------------------------
+ * Directory listings
+ * ------------------------------------------------------------------------- */
+
+DIR *opendir(const char *path) {
+  REAL(opendir, DIR *(*)(const char *));
+  DIR *result = real_opendir(path);
+  int saved_errno = errno;
+  int fd = result ? dirfd(result) : -1;
+  log_call("openat", fd, saved_errno, AT_FDCWD, "AT_FDCWD, %P, %F", path, O_RDONLY | O_DIRECTORY);
+  if (result) {
+    char args[32];
+    snprintf(args, sizeof(args), "%d", fd);
+    log_call("getdents64", 1, 0, AT_FDCWD, args);
+  }
+  errno = saved_errno;
+  return result;
+}
+
+/* ---------------------------------------------------------------------------
+ * Writes: mkdir / unlink / rename / link / symlink
+ * ------------------------------------------------------------------------- */
+
+#define LOG_RESULT(syscall_name, dirfd, format, ...)                          \
+  int saved_errno = errno;                                                    \
+  log_call(syscall_name, result, saved_errno, dirfd, format, __VA_ARGS__);    \
+  errno = saved_errno
+
+int mkdir(const char *path, mode_t mode) {
+  REAL(mkdir, int (*)(const char *, mode_t));
+  int result = real_mkdir(path, mode);
+  LOG_RESULT("mkdirat", AT_FDCWD, "AT_FDCWD, %P", path);
+  return result;
+}
+
+int mkdirat(int dirfd, const char *path, mode_t mode) {
+  REAL(mkdirat, int (*)(int, const char *, mode_t));
+  int result = real_mkdirat(dirfd, path, mode);
+  LOG_RESULT("mkdirat", dirfd, "AT_FDCWD, %P", path);
+  return result;
+}
+
+int unlink(const char *path) {
+  REAL(unlink, int (*)(const char *));
+  int result = real_unlink(path);
+  LOG_RESULT("unlinkat", AT_FDCWD, "AT_FDCWD, %P", path);
+  return result;
+}
+
+int unlinkat(int dirfd, const char *path, int flags) {
+  REAL(unlinkat, int (*)(int, const char *, int));
+  int result = real_unlinkat(dirfd, path, flags);
+  LOG_RESULT("unlinkat", dirfd, "AT_FDCWD, %P", path);
+  return result;
+}
+
+int rmdir(const char *path) {
+  REAL(rmdir, int (*)(const char *));
+  int result = real_rmdir(path);
+  LOG_RESULT("unlinkat", AT_FDCWD, "AT_FDCWD, %P", path);
+  return result;
+}
+
+/* Two-path calls resolve both paths against the same dirfd; the *at forms log each side separately */
+int rename(const char *from, const char *to) {
+  REAL(rename, int (*)(const char *, const char *));
+  int result = real_rename(from, to);
+  LOG_RESULT("renameat", AT_FDCWD, "AT_FDCWD, %P, AT_FDCWD, %P", from, to);
+  return result;
+}
+
+static void log_two_path_call(const char *syscall_name, long result, int saved_errno,
+                              int fromfd, const char *from, int tofd, const char *to) {
+  char resolved_from[PATH_MAX];
+  char resolved_to[PATH_MAX];
+  resolve_path(fromfd, from, resolved_from, sizeof(resolved_from));
+  resolve_path(tofd, to, resolved_to, sizeof(resolved_to));
+  log_call(syscall_name, result, saved_errno, AT_FDCWD, "AT_FDCWD, %P, AT_FDCWD, %P", resolved_from, resolved_to);
+}
+
+int renameat(int fromfd, const char *from, int tofd, const char *to) {
+  REAL(renameat, int (*)(int, const char *, int, const char *));
+  int result = real_renameat(fromfd, from, tofd, to);
+  int saved_errno = errno;
+  log_two_path_call("renameat", result, saved_errno, fromfd, from, tofd, to);
+  errno = saved_errno;
+  return result;
+}
+
+int renameat2(int fromfd, const char *from, int tofd, const char *to, unsigned int flags) {
+  REAL(renameat2, int (*)(int, const char *, int, const char *, unsigned int));
+  int result = real_renameat2(fromfd, from, tofd, to, flags);
+  int saved_errno = errno;
+  log_two_path_call("renameat", result, saved_errno, fromfd, from, tofd, to);
+  errno = saved_errno;
+  return result;
+}
+
+int link(const char *from, const char *to) {
+  REAL(link, int (*)(const char *, const char *));
+  int result = real_link(from, to);
+  LOG_RESULT("linkat", AT_FDCWD, "AT_FDCWD, %P, AT_FDCWD, %P", from, to);
+  return result;
+}
+
+int linkat(int fromfd, const char *from, int tofd, const char *to, int flags) {
+  REAL(linkat, int (*)(int, const char *, int, const char *, int));
+  int result = real_linkat(fromfd, from, tofd, to, flags);
+  int saved_errno = errno;
+  log_two_path_call("linkat", result, saved_errno, fromfd, from, tofd, to);
+  errno = saved_errno;
+  return result;
+}
+
+int symlink(const char *target, const char *path) {
+  REAL(symlink, int (*)(const char *, const char *));
+  int result = real_symlink(target, path);
+  LOG_RESULT("symlinkat", AT_FDCWD, "%S, AT_FDCWD, %P", target, path);
+  return result;
+}
+
+int symlinkat(const char *target, int dirfd, const char *path) {
+  REAL(symlinkat, int (*)(const char *, int, const char *));
+  int result = real_symlinkat(target, dirfd, path);
+  LOG_RESULT("symlinkat", dirfd, "%S, AT_FDCWD, %P", target, path);
+  return result;
+}
+
+/* ---------------------------------------------------------------------------
+ * Network: connect, logged with strace's sockaddr format for IPv4/IPv6
+ * (Unix sockets are local and skipped)
+ * ------------------------------------------------------------------------- */
+
+int connect(int fd, const struct sockaddr *addr, socklen_t len) {
+  REAL(connect, int (*)(int, const struct sockaddr *, socklen_t));
+  int result = real_connect(fd, addr, len);
+  int saved_errno = errno;
+  char address[INET6_ADDRSTRLEN];
+  char args[INET6_ADDRSTRLEN + 160];
+
+  if (addr && addr->sa_family == AF_INET && len >= sizeof(struct sockaddr_in)) {
+    const struct sockaddr_in *in = (const struct sockaddr_in *)addr;
+    inet_ntop(AF_INET, &in->sin_addr, address, sizeof(address));
+    snprintf(args, sizeof(args), "%d, {sa_family=AF_INET, sin_port=htons(%u), sin_addr=inet_addr(\"%s\")}, %u",
+             fd, ntohs(in->sin_port), address, (unsigned)len);
+    log_call("connect", result, saved_errno, AT_FDCWD, "%R", args);
+  } else if (addr && addr->sa_family == AF_INET6 && len >= sizeof(struct sockaddr_in6)) {
+    const struct sockaddr_in6 *in6 = (const struct sockaddr_in6 *)addr;
+    inet_ntop(AF_INET6, &in6->sin6_addr, address, sizeof(address));
+    snprintf(args, sizeof(args), "%d, {sa_family=AF_INET6, sin6_port=htons(%u), inet_pton(AF_INET6, \"%s\", &sin6_addr)}, %u",
+             fd, ntohs(in6->sin6_port), address, (unsigned)len);
+    log_call("connect", result, saved_errno, AT_FDCWD, "%R", args);
+  }
+
+  errno = saved_errno;
+  return result;
+}
+
+/* ---------------------------------------------------------------------------
+ * Environment reads: each variable is logged once per process to
+ * $IO_TRACER_ENV_LOG as "<pid>\t<taskId>\t<name>\tlibc", the format of
+ * io-tracer-env-hook.cjs. Unset variables are logged too: the task's behavior
+ * depends on them being unset. Node processes running the hook mark themselves
+ * in $IO_TRACER_ENV_HOOKED_PID and are left to it: their process.env copies for
+ * child processes would otherwise look like reads of every variable.
+ * ------------------------------------------------------------------------- */
+
+#define ENV_SEEN_SLOTS 1024
+
+/* Hashes of the names already logged by this process (races only cause duplicate lines) */
+static unsigned long env_seen[ENV_SEEN_SLOTS];
+static long env_seen_pid = 0;
+
+static int env_seen_before(const char *name) {
+  unsigned long hash = 5381;
+  for (const char *p = name; *p; p++) hash = hash * 33 + (unsigned char)*p;
+  if (hash == 0) hash = 1;
+
+  /* A forked child inherits the table but logs under its own pid */
+  long pid = syscall(SYS_getpid);
+  if (pid != env_seen_pid) {
+    memset(env_seen, 0, sizeof(env_seen));
+    env_seen_pid = pid;
+  }
+
+  for (size_t i = 0; i < ENV_SEEN_SLOTS; i++) {
+    size_t slot = (hash + i) % ENV_SEEN_SLOTS;
+    if (env_seen[slot] == hash) return 1;
+    if (env_seen[slot] == 0) {
+      env_seen[slot] = hash;
+      return 0;
+    }
+  }
+  return 0; /* table full: log every read */
+}
+
+static void log_env_read(const char *name) {
+  const char *log_path = lookup_env("IO_TRACER_ENV_LOG");
+  if (!log_path || !name || in_hook) return;
+  const char *hooked_pid = lookup_env("IO_TRACER_ENV_HOOKED_PID");
+  if (hooked_pid && atol(hooked_pid) == (long)syscall(SYS_getpid)) return;
+  in_hook = 1;
+
+  if (!env_seen_before(name)) {
+    const char *project = lookup_env("NX_TASK_TARGET_PROJECT");
+    const char *target = lookup_env("NX_TASK_TARGET_TARGET");
+    int attributed = project && target;
+    char line[1024];
+    int len = snprintf(line, sizeof(line), "%ld\t%s%s%s\t%s\tlibc\n", (long)syscall(SYS_getpid),
+                       attributed ? project : "", attributed ? ":" : "", attributed ? target : "", name);
+    if (len > 0 && (size_t)len < sizeof(line)) append_line(log_path, line, len);
+  }
+
+  in_hook = 0;
+}
+
+/* Same lookup as glibc's getenv, without calling into it (dlsym may read the environment) */
+char *getenv(const char *name) {
+  log_env_read(name);
+  return (char *)lookup_env(name);
+}
+
+char *secure_getenv(const char *name) {
+  REAL(secure_getenv, char *(*)(const char *));
+  log_env_read(name);
+  return real_secure_getenv(name);
+}
+
+/* ---------------------------------------------------------------------------
+ * exec: logged before the call (it doesn't return on success) so the tracer
+ * can check whether the new program is statically linked and thus untraced,
+ * and attribute the process to the Nx task named in its environment
+ * ------------------------------------------------------------------------- */
+
+/* Log execve("file", [], [<NX_TASK_TARGET_* entries of envp>]) */
+static void log_exec(const char *file, char *const envp[]) {
+  char env[1024];
+  char quoted[512];
+  size_t len = 0;
+
+  env[len++] = '[';
+  for (char *const *e = envp; e && *e; e++) {
+    if (strncmp(*e, "NX_TASK_TARGET_", 15) != 0) continue;
+    quote(*e, quoted, sizeof(quoted));
+    len += snprintf(env + len, sizeof(env) - len, "%s%s", len > 1 ? ", " : "", quoted);
+    if (len >= sizeof(env) - 2) {
+      len = sizeof(env) - 2;
+      break;
+    }
+  }
+  env[len++] = ']';
+  env[len] = '\0';
+
+  log_call("execve", 0, 0, AT_FDCWD, "%S, [], %R", file, env);
+}
+
+int execve(const char *path, char *const argv[], char *const envp[]) {
+  REAL(execve, int (*)(const char *, char *const[], char *const[]));
+  log_exec(path, envp);
+  return real_execve(path, argv, envp);
+}
+
+int execv(const char *path, char *const argv[]) {
+  REAL(execv, int (*)(const char *, char *const[]));
+  log_exec(path, environ);
+  return real_execv(path, argv);
+}
+
+int execvp(const char *file, char *const argv[]) {
+  REAL(execvp, int (*)(const char *, char *const[]));
+  log_exec(file, environ);
+  return real_execvp(file, argv);
+}
+
+int execvpe(const char *file, char *const argv[], char *const envp[]) {
+  REAL(execvpe, int (*)(const char *, char *const[], char *const[]));
+  log_exec(file, envp);
+  return real_execvpe(file, argv, envp);
+}
+
+/* ---------------------------------------------------------------------------
+ * Process creation: "<parent> fork() = <child>", so the tracer gives a child
+ * its parent's cwd, fds and task and handles its calls in log order, as with
+ * strace. The child logs the pair: after fork() from an atfork handler, and
+ * when the shim is loaded into a new program, which covers children started
+ * with vfork or posix_spawn. A program exec'd without a fork announces itself
+ * again; the tracer ignores a pair it already has.
+ * ------------------------------------------------------------------------- */
+
+static void log_fork(void) {
+  char line[64];
+  int len = snprintf(line, sizeof(line), "%ld fork() = %ld\n", (long)syscall(SYS_getppid), (long)syscall(SYS_getpid));
+  if (len > 0 && (size_t)len < sizeof(line)) log_line(line, len);
+}
+
+__attribute__((constructor)) static void init_fork_logging(void) {
+  pthread_atfork(NULL, NULL, log_fork);
+  log_fork();
+}
@@ -0,0 +1,214 @@
+/**
+ * CI report formats built from tracer JSON reports (see buildJsonReport in tracer-nx.mjs)
+ *
+ * - SARIF 2.1.0: one result per finding, located on the project.json / package.json /
+ *   nx.json targetDefaults entry that declares the task's inputs or outputs; findings
+ *   suppressed in the tracer config carry the suppression's reason
+ * - JUnit XML: one test suite per traced task, one test case per task in its chain
+ *
+ * Used by tracer-nx.mjs (--tracer-format / --tracer-output-sarif / --tracer-output-junit) and run-all-traces.mjs.
+ */
+
+import { pathToFileURL } from 'url';
+
+const TOOL_NAME = 'nx-io-tracer';
+
+// One SARIF rule per finding category; `key` is the findings array in the JSON report
+const SARIF_RULES = [
+  {
+    key: 'undeclaredReads',
+    id: 'nx-io/undeclared-input',
+    name: 'UndeclaredInput',
+    location: 'inputs',
+    description: 'A task read a file that is not covered by its inputs, so changing the file does not invalidate the cache.',
+    message: (f) => `${f.taskId} reads ${f.path}, which is not covered by its inputs`,
+  },
+  {
+    key: 'undeclaredWrites',
+    id: 'nx-io/undeclared-output',
+    name: 'UndeclaredOutput',
+    location: 'outputs',
+    description: 'A task wrote a file that is not covered by its outputs, so it is not restored from the cache.',
+    message: (f) => `${f.taskId} writes ${f.path}, which is not covered by its outputs`,
+  },
+  {
+    key: 'crossProjectReads',
+    id: 'nx-io/cross-project-read',
+    name: 'CrossProjectRead',
+    location: 'inputs',
+    description: 'A task read a file from another project that is not covered by a ^ dependency input.',
+    message: (f) => `${f.taskId} reads ${f.path} from ${f.project}, which is not covered by a ^ dependency input`,
+  },
+  {
+    key: 'undeclaredEnvReads',
+    id: 'nx-io/undeclared-env-input',
+    name: 'UndeclaredEnvInput',
+    location: 'inputs',
+    description: 'A task read an environment variable that is not declared as an { "env": ... } input (traced with --tracer-env).',
+    message: (f) => `${f.taskId} reads environment variable ${f.name}, which is not declared as an { "env": ... } input`,
+  },
+  {
+    key: 'undeclaredExternalDependencies',
+    id: 'nx-io/undeclared-external-dependency',
+    name: 'UndeclaredExternalDependency',
+    location: 'inputs',
+    description: 'A task read an npm package that Nx does not hash for it (not covered by its externalDependencies input or executor package).',
+    message: (f) => `${f.taskId} reads ${f.name}@${f.version}, which is not covered by its externalDependencies input`,
+  },
+  {
+    key: 'phantomDependencies',
+    id: 'nx-io/phantom-dependency',
+    name: 'PhantomDependency',
+    location: null,
+    description: 'A task read an npm package that is not in the dependency tree of package.json and only resolves through hoisting.',
+    message: (f) => `${f.taskId} reads ${f.name}@${f.version}, which is not in the dependency tree of package.json`,
+  },
+  {
+    key: 'missingProjectDependencies',
+    id: 'nx-io/missing-project-dependency',
+    name: 'MissingProjectDependency',
+    location: null,
+    description: 'A task read files of a project that the project graph does not connect to its own, so no ^ input or ^ dependsOn reaches it (add an implicitDependencies entry).',
+    message: (f) => `${f.taskId} reads ${f.files.length} file(s) of ${f.name}, which the project graph does not connect to it (add "${f.name}" to implicitDependencies)`,
+  },
+  {
+    key: 'missingTaskDependencies',
+    id: 'nx-io/missing-task-dependency',
+    name: 'MissingTaskDependency',
+    location: null,
+    description: 'A task read the declared outputs of another project\'s target without a dependsOn that runs that target first.',
+    message: (f) => `${f.taskId} reads outputs of ${f.name} without depending on it (add "${f.suggestedDependsOn}" to dependsOn)`,
+  },
+];
+
+/**
+ * Findings of one report that belong to `taskId`, by report key
+ */
+function getTaskFindings(report, taskId) {
+  return Object.fromEntries(SARIF_RULES.map(rule => [
+    rule.key,
+    (report[rule.key] || []).filter(f => f.taskId === taskId),
+  ]));
+}
+
+/**
+ * Build a SARIF 2.1.0 log from one or more tracer reports
+ * Findings repeated across reports (a dependency traced with several tasks) are reported once.
+ */
+export function buildSarifReport(reports) {
+  const results = [];
+  const seen = new Set();
+
+  for (const report of reports) {
+    const locationsByTask = new Map(report.tasks.map(t => [t.taskId, t.configLocations]));
+
+    SARIF_RULES.forEach((rule, ruleIndex) => {
+      // Suppressed findings (tracer config) are kept as results with their justification
+      const suppressed = (report.suppressedFindings || []).filter(f => `nx-io/${f.rule}` === rule.id);
+      for (const finding of [...(report[rule.key] || []), ...suppressed]) {
+        // Env and package findings name a variable or package instead of a path
+        const subject = finding.path ?? finding.name;
+        const key = `${rule.id}\0${finding.taskId}\0${subject}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const location = locationsByTask.get(finding.taskId)?.[rule.location];
+        results.push({
+          ruleId: rule.id,
+          ruleIndex,
+          level: 'warning',
+          message: { text: rule.message(finding) },
+          locations: location ? [{
+            physicalLocation: {
+              artifactLocation: { uri: location.file, uriBaseId: 'SRCROOT' },
+              region: { startLine: location.line },
+            },
+          }] : [],
+          ...(finding.reason && { suppressions: [{ kind: 'external', justification: finding.reason }] }),
+          partialFingerprints: { taskFile: `${finding.taskId}:${subject}` },
+          properties: { taskId: finding.taskId, path: finding.path, name: finding.name },
+        });
+      }
+    });
+  }
+
+  const workspaceRoot = reports[0]?.workspaceRoot;
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: reports[0]?.tracerVersion,
+          rules: SARIF_RULES.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: 'warning' },
+          })),
+        },
+      },
+      ...(workspaceRoot && {
+        originalUriBaseIds: { SRCROOT: { uri: `${pathToFileURL(workspaceRoot).href}/` } },
+      }),
+      results,
+    }],
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a JUnit XML document from tracer reports
+ * `errors` are traced tasks that produced no report: [{ taskId, message }], reported as errored test cases.
+ */
+export function buildJunitReport(reports, errors = []) {
+  const suites = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  for (const report of reports) {
+    const cases = [];
+    let failures = 0;
+
+    for (const task of report.tasks) {
+      const findings = getTaskFindings(report, task.taskId);
+      const lines = SARIF_RULES.flatMap(rule => findings[rule.key].map(f => rule.message(f)));
+      const project = task.taskId.slice(0, task.taskId.indexOf(':'));
+
+      let body = '';
+      if (lines.length > 0) {
+        failures++;
+        body = `\n      <failure message="${escapeXml(`${lines.length} undeclared I/O finding(s)`)}" type="undeclared-io">${escapeXml(lines.join('\n'))}</failure>\n    `;
+      }
+      cases.push(`    <testcase classname="${escapeXml(`${TOOL_NAME}.${project}`)}" name="${escapeXml(task.taskId)}">${body}</testcase>`);
+    }
+
+    totalTests += cases.length;
+    totalFailures += failures;
+    const time = ((report.timing?.totalMs || 0) / 1000).toFixed(3);
+    // Reports of a whole run-many / affected command have no single task
+    suites.push(`  <testsuite name="${escapeXml(report.taskId ?? report.command)}" tests="${cases.length}" failures="${failures}" errors="0" time="${time}">\n${cases.join('\n')}\n  </testsuite>`);
+  }
+
+  for (const { taskId, message } of errors) {
+    totalTests++;
+    const project = taskId.slice(0, taskId.indexOf(':'));
+    suites.push(`  <testsuite name="${escapeXml(taskId)}" tests="1" failures="0" errors="1">\n    <testcase classname="${escapeXml(`${TOOL_NAME}.${project}`)}" name="${escapeXml(taskId)}">\n      <error message="${escapeXml(message)}"/>\n    </testcase>\n  </testsuite>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${totalTests}" failures="${totalFailures}" errors="${errors.length}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for report-formats.mjs
+ *
+ * Run with: node --test report-formats.test.mjs
+ *
+ * Reports are minimal tracer JSON reports with only the fields the builders read.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildJunitReport, buildSarifReport } from './report-formats.mjs';
+
+const report = {
+  taskId: 'a:build',
+  tracerVersion: '1.0.0',
+  workspaceRoot: '/workspace',
+  timing: { totalMs: 1500 },
+  tasks: [
+    { taskId: 'a:build', configLocations: { inputs: { file: 'libs/a/project.json', line: 7 }, outputs: null } },
+    { taskId: 'b:build', configLocations: {} },
+  ],
+  undeclaredReads: [{ taskId: 'a:build', path: 'libs/a/schema.graphql' }],
+  undeclaredWrites: [{ taskId: 'a:build', path: 'libs/a/gen/<x>.js' }],
+  undeclaredEnvReads: [{ taskId: 'b:build', name: 'API_URL' }],
+  suppressedFindings: [{ rule: 'undeclared-input', taskId: 'a:build', path: 'libs/a/README.md', reason: 'docs only' }],
+};
+
+test('SARIF: one result per finding, located on the declaring config', () => {
+  const [run] = buildSarifReport([report]).runs;
+  assert.strictEqual(run.tool.driver.version, '1.0.0');
+  assert.deepStrictEqual(run.originalUriBaseIds, { SRCROOT: { uri: 'file:///workspace/' } });
+  assert.deepStrictEqual(run.results.map(r => [r.ruleId, r.partialFingerprints.taskFile]), [
+    ['nx-io/undeclared-input', 'a:build:libs/a/schema.graphql'],
+    ['nx-io/undeclared-input', 'a:build:libs/a/README.md'],
+    ['nx-io/undeclared-output', 'a:build:libs/a/gen/<x>.js'],
+    ['nx-io/undeclared-env-input', 'b:build:API_URL'],
+  ]);
+  assert.deepStrictEqual(run.results[0].locations, [{
+    physicalLocation: {
+      artifactLocation: { uri: 'libs/a/project.json', uriBaseId: 'SRCROOT' },
+      region: { startLine: 7 },
+    },
+  }]);
+  // No outputs location for a:build, no config location at all for b:build
+  assert.deepStrictEqual(run.results[2].locations, []);
+  assert.deepStrictEqual(run.results[3].locations, []);
+});
+
+test('SARIF: suppressed findings carry their reason', () => {
+  const [run] = buildSarifReport([report]).runs;
+  assert.strictEqual(run.results[0].suppressions, undefined);
+  assert.deepStrictEqual(run.results[1].suppressions, [{ kind: 'external', justification: 'docs only' }]);
+});
+
+test('SARIF: findings repeated across reports are reported once', () => {
+  const [run] = buildSarifReport([report, { ...report, taskId: 'c:build' }]).runs;
+  assert.strictEqual(run.results.length, 4);
+});
+
+test('JUnit: one test case per task, failing when the task has findings', () => {
+  const xml = buildJunitReport([report]);
+  assert.match(xml, /<testsuites name="nx-io-tracer" tests="2" failures="2" errors="0">/);
+  assert.match(xml, /<testsuite name="a:build" tests="2" failures="2" errors="0" time="1.500">/);
+  assert.match(xml, /<failure message="2 undeclared I\/O finding\(s\)" type="undeclared-io">/);
+  // Finding text is escaped
+  assert.match(xml, /libs\/a\/gen\/&lt;x&gt;\.js/);
+  assert.ok(!xml.includes('<x>'));
+});
+
+test('JUnit: tasks without a report are errored test cases', () => {
+  const xml = buildJunitReport([], [{ taskId: 'c:build', message: 'strace exited with "1"' }]);
+  assert.match(xml, /<testsuites name="nx-io-tracer" tests="1" failures="0" errors="1">/);
+  assert.match(xml, /<testcase classname="nx-io-tracer.c" name="c:build">\n {6}<error message="strace exited with &quot;1&quot;"\/>/);
+});
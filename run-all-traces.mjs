@@ -1,51 +1,114 @@
 #!/usr/bin/env node
 /**
  * Run I/O tracer on all Nx projects
- * Outputs results to results/ directory
+ * Outputs results to results/ directory (RESULTS.md, per-task JSON, summary.json,
+ * report.html, results.sarif and junit.xml)
  *
  * Usage:
- *   node run-all-traces.mjs [target]
+ *   node run-all-traces.mjs [target] [--parallel <n>] [--timeout <seconds>] [--one-pass] [--resume]
+ *                           [--affected [--base=<ref>] [--head=<ref>]] [--baseline <file> [--update-baseline]]
  *
  * Examples:
- *   node run-all-traces.mjs           # Trace default targets (build, build-base, build-native)
+ *   node run-all-traces.mjs           # Trace the config's defaultTargets (build by default)
  *   node run-all-traces.mjs build     # Trace only 'build' targets
  *   node run-all-traces.mjs test      # Trace only 'test' targets
+ *   node run-all-traces.mjs --baseline io-tracer.baseline.json   # Fail only on findings not in the baseline
+ *   node run-all-traces.mjs --parallel 4 --timeout 900            # 4 traces at a time, 15 min each
+ *   node run-all-traces.mjs --resume  # Skip tasks already traced successfully in results/
+ *   node run-all-traces.mjs --one-pass --parallel 4   # Trace one `nx run-many` instead of one nx run per task
+ *   node run-all-traces.mjs --affected --base=origin/main --baseline io-tracer.baseline.json   # Pull requests
  */
 
-import { execSync, spawnSync } from 'child_process';
-import { mkdirSync, writeFileSync, existsSync, readFileSync } from 'fs';
-import { join } from 'path';
+import { execSync, execFileSync, spawn } from 'child_process';
+import { mkdirSync, writeFileSync, existsSync, readFileSync, unlinkSync, readdirSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { buildSarifReport, buildJunitReport } from './report-formats.mjs';
+import { buildHtmlReport } from './html-report.mjs';
+import { loadTracerConfig, matchesGlob } from './tracer-config.mjs';
+import { readBaseline, writeBaseline, getBaselineEntries, removeBaselineFindings, compareWithBaseline } from './baseline.mjs';
 
 const RESULTS_DIR = '/tracer/results';
 const TRACER_SCRIPT = '/tracer/tracer-nx.mjs';
 
-// Projects to skip (e2e tests, examples, native binaries, docs)
-const SKIP_PATTERNS = [
-  /^e2e-/,
-  /^examples-/,
-  /^linux-/,
-  /^win32-/,
-  /^darwin-/,
-  /^freebsd-/,
-  /^astro-docs$/,
-  /^docs$/,
-  /^nx-dev/,  // skip nx-dev apps for now
-  /^ui-/,     // skip ui libs for now
-  /^data-access-/,
-  /^feature-/,
-  /^graph-/,
-  /^tools-/,
-];
-
-// Default targets to trace (when no argument provided)
-const DEFAULT_TARGETS = ['build', 'build-base', 'build-native'];
-
-// Get target from command line argument
-const targetArg = process.argv[2];
-const TARGET_WHITELIST = targetArg ? [targetArg] : DEFAULT_TARGETS;
+// Tracer output longer than this is not stored in the per-task results
+const MAX_RAW_OUTPUT = 50000;
+
+// Seconds a stopped trace gets to exit after SIGTERM before it is killed
+const STOP_GRACE_PERIOD = 5;
+
+// Version of the tracer's --tracer-output-json report this script understands
+const REPORT_SCHEMA_VERSION = 1;
+
+// Projects to skip and targets traced by default: `skipProjects` and `defaultTargets` of the
+// workspace's tracer config (io-tracer.config.json or the "tracer" key of nx.json)
+let tracerConfig;
+try {
+  tracerConfig = loadTracerConfig(process.cwd());
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
+// Options (the first other argument is the target)
+const OPTIONS = {
+  baseline: 'string',
+  'update-baseline': 'boolean',
+  parallel: 'string',
+  timeout: 'string',
+  resume: 'boolean',
+  'one-pass': 'boolean',
+  affected: 'boolean',
+  base: 'string',
+  head: 'string',
+};
+
+/**
+ * Parse the target and options (--name=value or --name value)
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z][\w-]*)(?:=(.*))?$/);
+    if (!match) {
+      options.target ??= args[i];
+      continue;
+    }
+    const [, name, inlineValue] = match;
+    if (!OPTIONS[name]) {
+      console.error(`Error: Unknown option --${name}. Use one of: ${Object.keys(OPTIONS).map(o => `--${o}`).join(', ')}`);
+      process.exit(1);
+    }
+    const key = name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    options[key] = OPTIONS[name] === 'boolean' ? inlineValue !== 'false' : inlineValue ?? args[++i];
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const TARGET_WHITELIST = options.target ? [options.target] : tracerConfig.defaultTargets;
+
+if (options.updateBaseline && !options.baseline) {
+  console.error('Error: --update-baseline needs --baseline <file>');
+  process.exit(1);
+}
+if ((options.base || options.head) && !options.affected) {
+  console.error('Error: --base and --head need --affected');
+  process.exit(1);
+}
+
+// Concurrent traces (default 1) and the per-task timeout in seconds (default 5 minutes)
+// With --one-pass: Nx's --parallel, and the run-many gets the timeout of all its tasks together
+for (const [name, fallback] of [['parallel', 1], ['timeout', 300]]) {
+  const value = options[name] === undefined ? fallback : Number(options[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    console.error(`Error: --${name} must be a positive integer, got "${options[name]}"`);
+    process.exit(1);
+  }
+  options[name] = value;
+}
 
 function shouldSkipProject(project) {
-  return SKIP_PATTERNS.some(pattern => pattern.test(project));
+  return tracerConfig.skipProjects.some(pattern => matchesGlob(project, pattern));
 }
 
 function getProjects() {
@@ -62,126 +125,465 @@ function getProjects() {
   }
 }
 
-function getProjectTargets(project) {
-  try {
-    const output = execSync(`NX_DAEMON=false npx nx show project ${project} --json`, {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env, NX_DAEMON: 'false' },
-    });
-    const config = JSON.parse(output);
-    return Object.keys(config.targets || {}).filter(t => TARGET_WHITELIST.includes(t));
-  } catch (err) {
-    return [];
+const projectConfigs = new Map();
+
+/**
+ * Resolved project configuration (`nx show project --json`), or null if Nx can't show it
+ */
+function getProjectConfig(project) {
+  if (!projectConfigs.has(project)) {
+    try {
+      const output = execFileSync('npx', ['nx', 'show', 'project', project, '--json'], {
+        encoding: 'utf-8',
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: { ...process.env, NX_DAEMON: 'false' },
+      });
+      projectConfigs.set(project, JSON.parse(output));
+    } catch (err) {
+      projectConfigs.set(project, null);
+    }
   }
+  return projectConfigs.get(project);
 }
 
-function runTrace(project, target) {
-  const taskId = `${project}:${target}`;
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`Tracing: ${taskId}`);
-  console.log('='.repeat(60));
-
-  try {
-    // Stream output to a temp file to handle large outputs
-    const tempOutputFile = join(RESULTS_DIR, `_temp_${project}__${target}.txt`);
+function getProjectTargets(project) {
+  const config = getProjectConfig(project);
+  return Object.keys(config?.targets || {}).filter(t => TARGET_WHITELIST.includes(t));
+}
 
-    const result = spawnSync('node', [TRACER_SCRIPT, taskId, '--skipNxCache'], {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-      timeout: 300000, // 5 min timeout
-      env: { ...process.env, NX_DAEMON: 'false' },
-      maxBuffer: 100 * 1024 * 1024, // 100MB buffer
-    });
+/**
+ * Run git with an argument list (no shell, so refs from the command line can't inject commands)
+ */
+function git(...args) {
+  return execFileSync('git', args, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
+}
 
-    const output = (result.stdout || '') + (result.stderr || '');
+/**
+ * The commit a --base/--head ref names; exits with an error for anything else (including
+ * option-like refs, which git would parse as flags)
+ */
+function verifyRef(ref, option) {
+  try {
+    if (ref.startsWith('-')) throw new Error('not a ref');
+    return git('rev-parse', '--verify', '--quiet', `${ref}^{commit}`).trim();
+  } catch {
+    console.error(`Error: ${option} ${ref} is not a commit in this repository`);
+    process.exit(1);
+  }
+}
 
-    // Parse JSON output from tracer - search from the end for better reliability
-    // Look for the last "JSON OUTPUT:" in case there are multiple
-    const jsonOutputIndex = output.lastIndexOf('JSON OUTPUT:');
-    if (jsonOutputIndex !== -1) {
-      const jsonPart = output.slice(jsonOutputIndex + 'JSON OUTPUT:'.length).trim();
+/**
+ * nx.json at a git ref ({} if it did not exist there)
+ */
+function readNxJsonAt(ref) {
+  try {
+    return JSON.parse(git('show', `${ref}:nx.json`));
+  } catch {
+    return {};
+  }
+}
 
-      // Find the complete JSON object by matching braces
-      let braceCount = 0;
-      let jsonEnd = -1;
-      let inString = false;
-      let escapeNext = false;
+function isSameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
 
-      for (let i = 0; i < jsonPart.length; i++) {
-        const char = jsonPart[i];
+/**
+ * Projects whose inputs config changed between `base` and `head`: Map of project -> reason
+ * Nx's affected set follows source changes; a changed inputs/outputs declaration should be
+ * traced again too, so this adds projects whose project.json or package.json changed, every
+ * project when nx.json namedInputs changed, and the projects using a changed targetDefaults entry.
+ */
+function getConfigChangedProjects(projects, changedFiles, base, head) {
+  const changed = new Map();
+  const add = (project, reason) => {
+    if (!changed.has(project)) changed.set(project, reason);
+  };
 
-        if (escapeNext) {
-          escapeNext = false;
-          continue;
-        }
+  for (const file of changedFiles) {
+    if (!/(^|\/)(project|package)\.json$/.test(file)) continue;
+    const root = dirname(file);
+    for (const project of projects) {
+      const projectRoot = getProjectConfig(project)?.root;
+      if (projectRoot !== undefined && (projectRoot || '.') === root) add(project, `${file} changed`);
+    }
+  }
 
-        if (char === '\\' && inString) {
-          escapeNext = true;
-          continue;
+  if (changedFiles.includes('nx.json')) {
+    const before = readNxJsonAt(base);
+    const after = readNxJsonAt(head);
+    if (!isSameJson(before.namedInputs, after.namedInputs)) {
+      projects.forEach(project => add(project, 'nx.json namedInputs changed'));
+    }
+    const defaults = new Set([...Object.keys(before.targetDefaults || {}), ...Object.keys(after.targetDefaults || {})]);
+    for (const name of defaults) {
+      if (isSameJson(before.targetDefaults?.[name], after.targetDefaults?.[name])) continue;
+      // targetDefaults are keyed by target name or executor
+      for (const project of projects) {
+        const targets = Object.entries(getProjectConfig(project)?.targets || {});
+        if (targets.some(([target, config]) => target === name || config.executor === name)) {
+          add(project, `nx.json targetDefaults["${name}"] changed`);
         }
+      }
+    }
+  }
+  return changed;
+}
 
-        if (char === '"' && !escapeNext) {
-          inString = !inString;
-          continue;
-        }
+/**
+ * Projects to trace with --affected: Nx's affected projects between `base` and `head` plus the
+ * projects whose inputs config changed. Returns { affected: Set, configChanged: Map of project -> reason }
+ */
+function getAffectedProjects(projects, base, head) {
+  const output = execFileSync('npx', ['nx', 'show', 'projects', '--affected', `--base=${base}`, `--head=${head}`], {
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: { ...process.env, NX_DAEMON: 'false' },
+  });
+  const nxAffected = new Set(output.trim().split('\n').filter(Boolean));
+  // Three dots: changes on `head` since it branched off `base`, like nx affected
+  const changedFiles = git('diff', '--name-only', `${base}...${head}`).trim().split('\n').filter(Boolean);
+  const configChanged = getConfigChangedProjects(projects, changedFiles, base, head);
+
+  return {
+    affected: new Set(projects.filter(p => nxAffected.has(p) || configChanged.has(p))),
+    configChanged,
+  };
+}
 
-        if (!inString) {
-          if (char === '{') braceCount++;
-          else if (char === '}') {
-            braceCount--;
-            if (braceCount === 0) {
-              jsonEnd = i + 1;
-              break;
-            }
-          }
-        }
-      }
+// Process groups of the traces currently running, stopped on timeout or interrupt
+const runningTraces = new Set();
 
-      if (jsonEnd > 0) {
-        try {
-          const jsonStr = jsonPart.slice(0, jsonEnd);
-          const jsonData = JSON.parse(jsonStr);
-          return {
-            taskId,
-            success: true,
-            exitCode: jsonData.exitCode,
-            undeclaredReads: jsonData.undeclaredReads || [],
-            undeclaredWrites: jsonData.undeclaredWrites || [],
-            rawOutput: output.length > 50000 ? `[Output truncated - ${output.length} chars]` : output,
-          };
-        } catch (parseErr) {
-          return {
-            taskId,
-            success: false,
-            error: `JSON parse error: ${parseErr.message}`,
-            rawOutput: output.length > 50000 ? `[Output truncated - ${output.length} chars]` : output,
-          };
-        }
-      }
+/**
+ * Stop a trace with everything it started (strace, nx, the task's processes)
+ * SIGTERM first so they can exit cleanly, then SIGKILL after STOP_GRACE_PERIOD seconds.
+ */
+async function stopTrace(pid) {
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-pid, signal);
+      return true;
+    } catch {
+      return false;
     }
+  };
+  if (!signalGroup('SIGTERM')) return;
+  for (let waited = 0; waited < STOP_GRACE_PERIOD * 1000; waited += 100) {
+    await new Promise(r => setTimeout(r, 100));
+    if (!signalGroup(0)) return;
+  }
+  signalGroup('SIGKILL');
+}
+
+/**
+ * Remove the trace logs a stopped tracer left behind (/tmp/nx-tracer-<kind>-<pid>.txt,
+ * see CONFIG in tracer-nx.mjs; a tracer that finishes removes its own)
+ */
+function removeTracerFiles(pid) {
+  try {
+    readdirSync('/tmp')
+      .filter(f => f.startsWith('nx-tracer-') && f.endsWith(`-${pid}.txt`))
+      .forEach(f => unlinkSync(join('/tmp', f)));
+  } catch {}
+}
 
+/**
+ * Per-task result from the tracer's JSON report (or the reason there is none)
+ */
+function readTraceResult(taskId, reportFile, rawOutput, error) {
+  if (!existsSync(reportFile)) {
     return {
       taskId,
       success: false,
-      error: 'No JSON output found',
-      rawOutput: output.length > 50000 ? `[Output truncated - ${output.length} chars]` : output,
+      error: error || 'Tracer did not write a JSON report',
+      rawOutput,
     };
-  } catch (err) {
+  }
+
+  const report = JSON.parse(readFileSync(reportFile, 'utf-8'));
+  unlinkSync(reportFile);
+  if (report.schemaVersion !== REPORT_SCHEMA_VERSION) {
     return {
       taskId,
       success: false,
-      error: err.message,
+      error: `Unsupported report schema version ${report.schemaVersion} (expected ${REPORT_SCHEMA_VERSION})`,
+      rawOutput,
+    };
+  }
+
+  return {
+    taskId,
+    success: true,
+    exitCode: report.exitCode,
+    undeclaredReads: report.undeclaredReads,
+    undeclaredWrites: report.undeclaredWrites,
+    report,
+    rawOutput,
+  };
+}
+
+/**
+ * Trace one task in a tracer child process, killed after --timeout seconds
+ * Its dependencies already ran (see runInDependencyOrder) and are not run again, with or
+ * without --parallel, so a task's result doesn't depend on what ran next to it. Without a
+ * task graph (excludeDependencies false) the trace runs them itself.
+ */
+function runTrace(project, target, excludeDependencies) {
+  const taskId = `${project}:${target}`;
+  // The tracer writes its structured report here; stdout is only kept for debugging
+  const reportFile = join(RESULTS_DIR, `_report_${project}__${target}.json`);
+  const tracerArgs = excludeDependencies ? [taskId, '--excludeTaskDependencies'] : [taskId];
+  return runTracer(taskId, tracerArgs, reportFile, options.timeout);
+}
+
+/**
+ * Dependencies of `tasks` in Nx's task graph: { taskId: [taskIds] } for the tasks and every
+ * task they depend on, or null if Nx can't print the graph
+ */
+function getTaskDependencies(tasks) {
+  const targets = [...new Set(tasks.map(t => t.target))];
+  const projects = [...new Set(tasks.map(t => t.project))];
+  let graph;
+  try {
+    const output = execFileSync('npx', ['nx', 'run-many', `--targets=${targets.join(',')}`, `--projects=${projects.join(',')}`, '--graph=stdout'], {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, NX_DAEMON: 'false' },
+      maxBuffer: 100 * 1024 * 1024,
+    });
+    graph = JSON.parse(output).tasks.dependencies;
+  } catch {
+    return null;
+  }
+
+  // run-many pairs every target with every project: keep only what the batch needs
+  const dependencies = {};
+  const queue = tasks.map(t => t.taskId);
+  while (queue.length > 0) {
+    const taskId = queue.pop();
+    if (dependencies[taskId]) continue;
+    dependencies[taskId] = graph[taskId] || [];
+    queue.push(...dependencies[taskId]);
+  }
+  return dependencies;
+}
+
+/**
+ * Run one dependency of the traced tasks, untraced and without its own dependencies (they
+ * ran before it); resolves to the exit code (null if it was stopped after `timeout` seconds)
+ */
+function runUntraced(taskId, timeout) {
+  return new Promise((resolvePromise) => {
+    const child = spawn('npx', ['nx', 'run', taskId, '--excludeTaskDependencies'], {
+      stdio: 'ignore',
+      env: { ...process.env, NX_DAEMON: 'false' },
+      detached: true,
+    });
+    runningTraces.add(child.pid);
+    const timer = setTimeout(() => stopTrace(child.pid), timeout * 1000);
+    child.on('error', () => {
+      clearTimeout(timer);
+      runningTraces.delete(child.pid);
+      resolvePromise(null);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      runningTraces.delete(child.pid);
+      resolvePromise(code);
+    });
+  });
+}
+
+/**
+ * Run the tracer with `tracerArgs` in a child process, killed after `timeout` seconds
+ * Resolves to the result from its JSON report, labelled `taskId`.
+ */
+function runTracer(taskId, tracerArgs, reportFile, timeout) {
+  try {
+    unlinkSync(reportFile);
+  } catch {}
+
+  return new Promise((resolvePromise) => {
+    // Own process group, so stopping the trace also stops strace and the Nx processes
+    const child = spawn('node', [TRACER_SCRIPT, ...tracerArgs, '--tracer-output-json', reportFile, '--skipNxCache'], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, NX_DAEMON: 'false' },
+      detached: true,
+    });
+    runningTraces.add(child.pid);
+
+    // Keep the output only while it's small enough to be worth storing
+    let output = '';
+    let outputLength = 0;
+    const collect = (chunk) => {
+      outputLength += chunk.length;
+      if (outputLength <= MAX_RAW_OUTPUT) output += chunk;
     };
+    child.stdout.setEncoding('utf-8').on('data', collect);
+    child.stderr.setEncoding('utf-8').on('data', collect);
+
+    let error = null;
+    const timer = setTimeout(() => {
+      error = `Timed out after ${timeout}s`;
+      stopTrace(child.pid);
+    }, timeout * 1000);
+    child.on('error', (err) => {
+      error = err.message;
+    });
+    child.on('close', () => {
+      clearTimeout(timer);
+      runningTraces.delete(child.pid);
+      removeTracerFiles(child.pid);
+      const rawOutput = outputLength > MAX_RAW_OUTPUT ? `[Output truncated - ${outputLength} chars]` : output;
+      try {
+        resolvePromise(readTraceResult(taskId, reportFile, rawOutput, error));
+      } catch (err) {
+        resolvePromise({ taskId, success: false, error: err.message });
+      }
+    });
+  });
+}
+
+/**
+ * Entries of a report array that belong to `taskId`: entries with that `taskId`, or rows
+ * listing it in `taskIds` (projectReadMatrix). Other arrays are returned as they are.
+ */
+function filterTaskEntries(value, taskId) {
+  if (value.every(entry => entry?.taskId)) return value.filter(entry => entry.taskId === taskId);
+  if (value.every(entry => Array.isArray(entry?.taskIds))) return value.filter(entry => entry.taskIds.includes(taskId));
+  return value;
+}
+
+/**
+ * Copy of a run-many report with only the parts of one task
+ * Per-task arrays (tasks, taskChain, findings, projectReadMatrix), also inside verification and
+ * baseline, are filtered to `taskId`, and exitCode, untracedPrograms and truncatedPaths are the
+ * task's own. timing, outcome and the other command-wide fields stay those of the whole run.
+ */
+function getTaskReport(report, taskId) {
+  const taskReport = { ...report, taskId };
+  for (const [key, value] of Object.entries(report)) {
+    if (Array.isArray(value)) {
+      taskReport[key] = filterTaskEntries(value, taskId);
+    } else if (value && typeof value === 'object') {
+      taskReport[key] = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, Array.isArray(v) ? filterTaskEntries(v, taskId) : v]));
+    }
+  }
+  const task = taskReport.tasks[0];
+  if (task) {
+    // null when Nx wrote no run.json to read it from: fall back to the run's
+    taskReport.exitCode = task.exitCode ?? report.exitCode;
+    taskReport.untracedPrograms = task.untracedPrograms ?? report.untracedPrograms;
+    taskReport.truncatedPaths = task.truncatedPaths ?? report.truncatedPaths;
+  }
+  return taskReport;
+}
+
+/**
+ * Trace all `tasks` under a single `nx run-many` (--one-pass) and split its report per task
+ * The tracer attributes each access to the task whose processes made it, so every task
+ * (including dependencies Nx ran on the way) gets the same result as a trace of its own.
+ */
+async function traceInOnePass(tasks) {
+  const targets = [...new Set(tasks.map(t => t.target))];
+  const projects = [...new Set(tasks.map(t => t.project))];
+  const tracerArgs = ['run-many', `--targets=${targets.join(',')}`, `--projects=${projects.join(',')}`, `--parallel=${options.parallel}`];
+  const command = `nx ${tracerArgs.join(' ')}`;
+  const traced = await runTracer(command, tracerArgs, join(RESULTS_DIR, '_report_run-many.json'), options.timeout * tasks.length);
+  if (!traced.success) {
+    return tasks.map(({ taskId }) => ({ ...traced, taskId }));
+  }
+
+  const tracedTaskIds = traced.report.tasks.map(t => t.taskId);
+  const results = tracedTaskIds.map((taskId) => {
+    const report = getTaskReport(traced.report, taskId);
+    return { taskId, success: true, exitCode: report.exitCode, undeclaredReads: report.undeclaredReads, undeclaredWrites: report.undeclaredWrites, report };
+  });
+  for (const { taskId } of tasks) {
+    if (!tracedTaskIds.includes(taskId)) {
+      results.push({ taskId, success: false, error: `No file accesses were attributed to this task in ${command}`, rawOutput: traced.rawOutput });
+    }
   }
+  return results;
 }
 
-function updateResultsFile(issuesFound, totalTasks, successfulTraces) {
+/**
+ * Result of a previous run from results/, if that trace succeeded (for --resume)
+ */
+function readPreviousResult(project, target) {
+  try {
+    const result = JSON.parse(readFileSync(getResultFile(project, target), 'utf-8'));
+    return result.success && result.report?.schemaVersion === REPORT_SCHEMA_VERSION ? result : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Per-task result file in results/ (also read back by --resume)
+ */
+function getResultFile(project, target) {
+  const safeTaskId = `${project}__${target}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return join(RESULTS_DIR, `${safeTaskId}.json`);
+}
+
+/**
+ * Run `worker` over the tasks of `dependencies` ({ taskId: [taskIds] }), each once all its
+ * dependencies finished, with at most `concurrency` running at once
+ */
+function runInDependencyOrder(dependencies, concurrency, worker) {
+  const waiting = new Set(Object.keys(dependencies));
+  const finished = new Set();
+  let running = 0;
+  return new Promise((resolvePromise) => {
+    const startReady = () => {
+      for (const taskId of waiting) {
+        if (running >= concurrency) break;
+        if (!dependencies[taskId].every(d => finished.has(d))) continue;
+        waiting.delete(taskId);
+        running++;
+        worker(taskId).finally(() => {
+          running--;
+          finished.add(taskId);
+          startReady();
+        });
+      }
+      if (running === 0) resolvePromise();
+    };
+    startReady();
+  });
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function formatStatus(result) {
+  if (result.success && (result.undeclaredReads?.length > 0 || result.undeclaredWrites?.length > 0)) {
+    return `⚠️  Found ${result.undeclaredReads.length} undeclared reads, ${result.undeclaredWrites.length} undeclared writes`;
+  }
+  return result.success ? '✅ All I/O declared correctly' : `❌ Error: ${result.error}`;
+}
+
+// Findings carry the task that made the access; name it when it's a dependency of the traced task
+function formatFindingTask(finding, tracedTaskId) {
+  return finding.taskId !== tracedTaskId ? ` (in ${finding.taskId})` : '';
+}
+
+function updateResultsFile(issuesFound, totalTasks, successfulTraces, baselineComparison = null, affected = null) {
   let markdown = `# I/O Tracing Results\n\n`;
   markdown += `**Last Updated**: ${new Date().toISOString()}\n`;
   markdown += `**Total Tasks Traced**: ${totalTasks}\n`;
   markdown += `**Successful Traces**: ${successfulTraces}\n`;
-  markdown += `**Tasks with Undeclared I/O**: ${issuesFound.length}\n\n`;
+  markdown += `**Tasks with Undeclared I/O**: ${issuesFound.length}\n`;
+  if (baselineComparison) {
+    const { file, knownCount, newFindings, fixedFindings } = baselineComparison;
+    markdown += `**Baseline** (\`${file}\`): ${knownCount} known findings hidden, ${newFindings.length} new, ${fixedFindings.length} fixed\n`;
+  }
+  if (affected) {
+    markdown += `**Affected** (\`${affected.base}...${affected.head}\`): ${affected.projects.length} projects; ${affected.unaffectedTasks.length} unaffected tasks not traced (${affected.reusedTasks.length} with stored results)\n`;
+  }
+  markdown += '\nAll finding categories, per-project file trees and cross-project reads: [report.html](report.html)\n\n';
 
   if (issuesFound.length > 0) {
     markdown += `## Issues Found\n\n`;
@@ -190,14 +592,14 @@ function updateResultsFile(issuesFound, totalTasks, successfulTraces) {
       if (issue.undeclaredReads.length > 0) {
         markdown += `**Undeclared Reads:**\n`;
         for (const read of issue.undeclaredReads) {
-          markdown += `- \`${read}\`\n`;
+          markdown += `- \`${read.path}\`${formatFindingTask(read, issue.taskId)}\n`;
         }
         markdown += '\n';
       }
       if (issue.undeclaredWrites.length > 0) {
         markdown += `**Undeclared Writes:**\n`;
         for (const write of issue.undeclaredWrites) {
-          markdown += `- \`${write}\`\n`;
+          markdown += `- \`${write.path}\`${formatFindingTask(write, issue.taskId)}\n`;
         }
         markdown += '\n';
       }
@@ -206,57 +608,206 @@ function updateResultsFile(issuesFound, totalTasks, successfulTraces) {
     markdown += `## ✅ No Issues Found Yet\n\nAll traced tasks so far have correctly declared inputs and outputs.\n`;
   }
 
+  if (baselineComparison?.fixedFindings.length > 0) {
+    markdown += `\n## Fixed Since the Baseline\n\nRerun with \`--update-baseline\` to remove them:\n\n`;
+    for (const { rule, taskId, subject } of baselineComparison.fixedFindings) {
+      markdown += `- \`${subject}\` (${rule} in ${taskId})\n`;
+    }
+  }
+
   writeFileSync(join(RESULTS_DIR, 'RESULTS.md'), markdown);
 }
 
-function main() {
+async function main() {
   // Create results directory
   mkdirSync(RESULTS_DIR, { recursive: true });
 
+  console.log(`Config: ${tracerConfig.source || 'defaults'}`);
   console.log(`Tracing target(s): ${TARGET_WHITELIST.join(', ')}`);
   console.log('Getting project list...');
   const projects = getProjects();
   console.log(`Found ${projects.length} projects to analyze`);
 
+  // --baseline: findings recorded in the baseline are known, only new ones are reported
+  let baseline = null;
+  if (options.baseline && !options.updateBaseline) {
+    try {
+      baseline = readBaseline(resolve(options.baseline));
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`Baseline: ${options.baseline} (${baseline.length} known findings)`);
+  }
+
   const allResults = [];
   const issuesFound = [];
+  // Reports with every finding, for comparing against and updating the baseline
+  const fullReports = [];
 
   // Initialize RESULTS.md
   updateResultsFile(issuesFound, 0, 0);
 
-  for (const project of projects) {
-    const targets = getProjectTargets(project);
-    if (targets.length === 0) continue;
-
-    for (const target of targets) {
-      const result = runTrace(project, target);
-      allResults.push(result);
-
-      // Save individual result
-      const safeTaskId = `${project}__${target}`.replace(/[^a-zA-Z0-9_-]/g, '_');
-      writeFileSync(
-        join(RESULTS_DIR, `${safeTaskId}.json`),
-        JSON.stringify(result, null, 2)
-      );
-
-      // Track issues
-      if (result.success && (result.undeclaredReads?.length > 0 || result.undeclaredWrites?.length > 0)) {
-        issuesFound.push({
-          taskId: result.taskId,
-          undeclaredReads: result.undeclaredReads,
-          undeclaredWrites: result.undeclaredWrites,
-        });
-        console.log(`⚠️  Found ${result.undeclaredReads.length} undeclared reads, ${result.undeclaredWrites.length} undeclared writes`);
-      } else if (result.success) {
-        console.log(`✅ All I/O declared correctly`);
-      } else {
-        console.log(`❌ Error: ${result.error}`);
+  // Track a finished trace: results/ keeps the full report, the rest only sees findings beyond the baseline
+  const recordResult = (result) => {
+    if (result.success) {
+      fullReports.push(result.report);
+    }
+    if (result.success && baseline) {
+      const report = removeBaselineFindings(result.report, baseline);
+      result = { ...result, report, undeclaredReads: report.undeclaredReads, undeclaredWrites: report.undeclaredWrites };
+    }
+    allResults.push(result);
+    if (result.success && (result.undeclaredReads?.length > 0 || result.undeclaredWrites?.length > 0)) {
+      issuesFound.push({
+        taskId: result.taskId,
+        undeclaredReads: result.undeclaredReads,
+        undeclaredWrites: result.undeclaredWrites,
+      });
+    }
+    return result;
+  };
+
+  console.log('Collecting targets...');
+  const tasks = projects.flatMap(project => getProjectTargets(project).map(target => ({ project, target, taskId: `${project}:${target}` })));
+
+  // --affected: only tasks of affected projects are traced. Unaffected tasks keep their stored
+  // results from results/ (when a previous run left them) and their entries in the baseline.
+  let candidates = tasks;
+  let affected = null;
+  if (options.affected) {
+    const head = options.head || 'HEAD';
+    verifyRef(head, '--head');
+    const base = options.base || readNxJsonAt(head).defaultBase || 'main';
+    verifyRef(base, options.base ? '--base' : 'defaultBase');
+    let affectedProjects;
+    try {
+      affectedProjects = getAffectedProjects(projects, base, head);
+    } catch (err) {
+      console.error(`Error: Could not determine the affected projects between ${base} and ${head}: ${err.message}`);
+      process.exit(1);
+    }
+    candidates = tasks.filter(t => affectedProjects.affected.has(t.project));
+    const unaffected = tasks.filter(t => !affectedProjects.affected.has(t.project));
+    const reused = unaffected.filter(({ project, target }) => {
+      const previous = readPreviousResult(project, target);
+      if (previous) recordResult(previous);
+      return previous;
+    });
+    affected = {
+      base,
+      head,
+      projects: [...affectedProjects.affected],
+      configChanged: Object.fromEntries(affectedProjects.configChanged),
+      unaffectedTasks: unaffected.map(t => t.taskId),
+      reusedTasks: reused.map(t => t.taskId),
+    };
+    console.log(`Affected (${base}...${head}): ${affected.projects.length} of ${projects.length} project(s), ${candidates.length} task(s)`);
+    affectedProjects.configChanged.forEach((reason, project) => console.log(`  ${project}: ${reason}`));
+    console.log(`Unaffected: ${unaffected.length} task(s) not traced, ${reused.length} with stored results in ${RESULTS_DIR}/`);
+  }
+
+  let pending = candidates;
+  if (options.resume) {
+    pending = candidates.filter(({ project, target }) => {
+      const previous = readPreviousResult(project, target);
+      if (previous) recordResult(previous);
+      return !previous;
+    });
+    console.log(`Resuming: ${candidates.length - pending.length} task(s) already traced in ${RESULTS_DIR}/, ${pending.length} to go`);
+    updateResultsFile(issuesFound, allResults.length, allResults.filter(r => r.success).length);
+  }
+  if (options.onePass) {
+    console.log(`Tracing ${pending.length} task(s) in one nx run-many, ${options.parallel} at a time (timeout ${options.timeout * pending.length}s in total)`);
+  } else {
+    console.log(`Tracing ${pending.length} task(s), ${options.parallel} at a time (timeout ${options.timeout}s each)`);
+  }
+
+  // Stop running traces on Ctrl-C: their process groups don't get the terminal's signal
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      const pids = [...runningTraces];
+      await Promise.all(pids.map(stopTrace));
+      pids.forEach(removeTracerFiles);
+      console.log(`\nInterrupted: ${allResults.length} of ${tasks.length} task(s) traced. Rerun with --resume to continue.`);
+      process.exit(130);
+    });
+  }
+
+  const batchStart = Date.now();
+  let started = 0;
+  let finished = 0;
+  if (options.onePass) {
+    const traced = pending.length > 0 ? await traceInOnePass(pending) : [];
+    for (const result of traced) {
+      const separator = result.taskId.indexOf(':');
+      writeFileSync(getResultFile(result.taskId.slice(0, separator), result.taskId.slice(separator + 1)), JSON.stringify(result, null, 2));
+      console.log(`${result.taskId}: ${formatStatus(recordResult(result))}`);
+    }
+    console.log(`  ${traced.length} task(s) traced in ${formatDuration(Date.now() - batchStart)}`);
+    updateResultsFile(issuesFound, allResults.length, allResults.filter(r => r.success).length);
+  } else {
+    // Every task runs once, after its dependencies: the ones not traced run untraced, and the
+    // traces skip them, so tasks sharing a dependency don't rebuild it at the same time
+    let dependencies = pending.length > 0 ? getTaskDependencies(pending) : {};
+    const excludeDependencies = dependencies !== null;
+    if (!excludeDependencies) {
+      console.log('Could not get the task graph from Nx: tracing one task at a time, each with its dependencies');
+      options.parallel = 1;
+      dependencies = Object.fromEntries(pending.map(t => [t.taskId, []]));
+    }
+    const pendingById = new Map(pending.map(t => [t.taskId, t]));
+    const untraced = Object.keys(dependencies).filter(taskId => !pendingById.has(taskId));
+    if (untraced.length > 0) {
+      console.log(`Running ${untraced.length} dependency task(s) once, untraced, before the tasks that need them`);
+    }
+    await runInDependencyOrder(dependencies, options.parallel, async (taskId) => {
+      if (!pendingById.has(taskId)) {
+        const exitCode = await runUntraced(taskId, options.timeout);
+        if (exitCode !== 0) {
+          console.log(`  ${taskId} ${exitCode === null ? 'was stopped' : `exited with ${exitCode}`}; tracing the tasks that need it anyway`);
+        }
+        return;
       }
+      const { project, target } = pendingById.get(taskId);
+      started++;
+      console.log(`▶ [${started}/${pending.length}] Tracing ${taskId}`);
+      const traceStart = Date.now();
+      const traced = await runTrace(project, target, excludeDependencies);
+      writeFileSync(getResultFile(project, target), JSON.stringify(traced, null, 2));
+      const result = recordResult(traced);
+      finished++;
+
+      const status = formatStatus(result);
+      // Remaining time at the rate tasks have finished so far
+      const elapsed = Date.now() - batchStart;
+      const remaining = pending.length - finished;
+      const eta = remaining > 0 ? `, ~${formatDuration((elapsed / finished) * remaining)} left` : '';
+      console.log(`[${finished}/${pending.length}] ${taskId} (${formatDuration(Date.now() - traceStart)}): ${status}`);
+      console.log(`  ${runningTraces.size} running, ${formatDuration(elapsed)} elapsed${eta}`);
 
       // Update RESULTS.md incrementally after each task
       const successCount = allResults.filter(r => r.success).length;
       updateResultsFile(issuesFound, allResults.length, successCount);
-    }
+    });
+  }
+
+  // CI reports: SARIF for PR annotations, JUnit for test dashboards
+  const reports = allResults.filter(r => r.success).map(r => r.report);
+
+  const analyzedTaskIds = [...new Set(fullReports.flatMap(r => r.tasks.map(t => t.taskId)))];
+  const currentEntries = getBaselineEntries(fullReports);
+  const baselineComparison = baseline
+    ? { file: options.baseline, ...compareWithBaseline(baseline, currentEntries, getBaselineEntries(reports), analyzedTaskIds) }
+    : null;
+  // Baseline entries of unaffected tasks without stored results: not traced, so kept as they are
+  if (affected) {
+    const traced = new Set(analyzedTaskIds);
+    const unaffected = new Set(affected.unaffectedTasks);
+    affected.baselineKept = baseline ? baseline.filter(e => unaffected.has(e.taskId) && !traced.has(e.taskId)).length : null;
+  }
+  if (baselineComparison || affected) {
+    updateResultsFile(issuesFound, allResults.length, allResults.filter(r => r.success).length, baselineComparison, affected);
   }
 
   // Write final summary JSON
@@ -266,17 +817,58 @@ function main() {
     successfulTraces: allResults.filter(r => r.success).length,
     tasksWithIssues: issuesFound.length,
     issues: issuesFound,
+    // With --baseline: { file, knownCount, newFindings, fixedFindings } (entries are { rule, taskId, subject })
+    baseline: baselineComparison,
+    // With --affected: { base, head, projects, configChanged: { project: reason }, unaffectedTasks,
+    // reusedTasks (unaffected, with stored results), baselineKept (baseline entries of untraced tasks) }
+    affected,
   };
 
   writeFileSync(join(RESULTS_DIR, 'summary.json'), JSON.stringify(summary, null, 2));
 
+  const traceErrors = allResults.filter(r => !r.success).map(r => ({ taskId: r.taskId, message: r.error }));
+  writeFileSync(join(RESULTS_DIR, 'results.sarif'), JSON.stringify(buildSarifReport(reports), null, 2));
+  writeFileSync(join(RESULTS_DIR, 'junit.xml'), buildJunitReport(reports, traceErrors));
+
+  // Browsable report with every finding category, opened from results/ without a server
+  const htmlSummary = [];
+  if (baselineComparison) {
+    const { file, knownCount, newFindings, fixedFindings } = baselineComparison;
+    htmlSummary.push(`Baseline ${file}: ${knownCount} known findings hidden, ${newFindings.length} new, ${fixedFindings.length} fixed`);
+  }
+  if (affected) {
+    htmlSummary.push(`Affected (${affected.base}...${affected.head}): ${affected.projects.length} projects traced, ${affected.unaffectedTasks.length} unaffected tasks not traced`);
+  }
+  writeFileSync(join(RESULTS_DIR, 'report.html'), buildHtmlReport(reports, traceErrors, { generatedAt: summary.timestamp, summary: htmlSummary }));
+
   console.log('\n' + '='.repeat(60));
   console.log('SUMMARY');
   console.log('='.repeat(60));
   console.log(`Total tasks traced: ${summary.totalTasks}`);
   console.log(`Successful traces: ${summary.successfulTraces}`);
   console.log(`Tasks with issues: ${summary.tasksWithIssues}`);
+  if (baselineComparison) {
+    const { knownCount, newFindings, fixedFindings } = baselineComparison;
+    console.log(`Baseline: ${knownCount} known findings hidden, ${newFindings.length} new, ${fixedFindings.length} fixed`);
+    newFindings.forEach(e => console.log(`  + [${e.rule}] ${e.taskId}: ${e.subject}`));
+    fixedFindings.forEach(e => console.log(`  - [${e.rule}] ${e.taskId}: ${e.subject}`));
+  }
+  if (affected?.baselineKept > 0) {
+    console.log(`Baseline: ${affected.baselineKept} findings of unaffected tasks kept as they are`);
+  }
+  if (options.updateBaseline) {
+    const total = writeBaseline(resolve(options.baseline), currentEntries, analyzedTaskIds);
+    console.log(`Recorded ${currentEntries.length} findings of ${analyzedTaskIds.length} tasks in ${options.baseline} (${total} in total)`);
+  }
   console.log(`\nResults saved to ${RESULTS_DIR}/`);
+
+  // With a baseline, only new findings fail the run
+  if (baselineComparison?.newFindings.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
-main();
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,299 @@
+/**
+ * Tracer configuration: `io-tracer.config.json` at the workspace root, or the `tracer` key of nx.json
+ *
+ * Lets a workspace tune the tracer without editing the scripts:
+ * - ignoredDirs / infrastructure: directories and files never analyzed (replace the defaults below)
+ * - ignore: paths dropped from the analysis, globally, per target name (`targets`), per project
+ *   (`projects.<name>.ignore`) or per project target (`projects.<name>.targets.<target>.ignore`)
+ * - suppressions: known findings that are not reported, each with the reason it is accepted
+ * - skipProjects / defaultTargets: what run-all-traces.mjs traces
+ *
+ * The config is validated against TRACER_CONFIG_SCHEMA (a subset of JSON Schema).
+ * Used by tracer-nx.mjs and run-all-traces.mjs.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+export const CONFIG_FILE = 'io-tracer.config.json';
+
+// Suppressible finding categories: rule name (the SARIF rule id without "nx-io/") -> report key
+export const FINDING_RULES = {
+  'undeclared-input': 'undeclaredReads',
+  'undeclared-output': 'undeclaredWrites',
+  'cross-project-read': 'crossProjectReads',
+  'negative-dependency': 'negativeDependencies',
+  'undeclared-env-input': 'undeclaredEnvReads',
+  'undeclared-external-dependency': 'undeclaredExternalDependencies',
+  'phantom-dependency': 'phantomDependencies',
+  'missing-project-dependency': 'missingProjectDependencies',
+  'missing-task-dependency': 'missingTaskDependencies',
+  'external-access': 'externalAccess',
+  'unused-input': 'unusedInputs',
+  'over-declared-output': 'overDeclaredOutputs',
+  'nondeterministic-output': 'nonDeterministicOutputs',
+};
+
+// Settings used when the config leaves a key out; a key that is set replaces the default
+export const DEFAULT_TRACER_CONFIG = {
+  // Directory names skipped wherever they appear in a path
+  ignoredDirs: ['node_modules', '.nx', '.git', '.angular', '.pnpm-store', 'proc', 'dev', 'sys', 'private', 'var', 'tmp'],
+  // Files that Nx reads during task execution (infrastructure, not task-specific)
+  infrastructure: [
+    'nx.json',
+    '.nxignore',
+    '.nx/**',
+    'pnpm-lock.yaml',
+    'package-lock.json',
+    'yarn.lock',
+    '.claude',
+    '**/project.json',
+    '**/package.json',
+    // TypeScript configs
+    '**/tsconfig.json',
+    '**/tsconfig.*.json',
+    // Jest and ESLint configs
+    '**/jest.config.{ts,js,cts,mts,cjs,mjs}',
+    '**/eslint.config.{ts,js,cts,mts,cjs,mjs}',
+    '**/.eslintrc*',
+    // Other workspace config files
+    '**/pnpm-workspace.yaml',
+    '**/rust-toolchain.toml',
+    '**/.swcrc',
+    // Nx plugin files
+    '**/executors.json',
+    '**/generators.json',
+    '**/migrations.json',
+    '**/schema.json',
+    // Git files (Nx scans for project detection)
+    '**/.gitignore',
+    '**/.gitattributes',
+    // Environment files
+    '**/.env*',
+    '**/*.env',
+    // Rspack/webpack configs (Nx plugin detection)
+    '**/rspack.config.{ts,js,mjs,cjs}',
+    '**/webpack.config.{ts,js,mjs,cjs}',
+    // Husky
+    '**/.husky/**',
+    // Publishing artifacts (not task inputs)
+    '**/.npmignore',
+    '**/LICENSE',
+  ],
+  ignore: [],
+  targets: {},
+  projects: {},
+  suppressions: [],
+  skipProjects: ['e2e-*', '*-e2e', 'examples-*'],
+  defaultTargets: ['build'],
+};
+
+const globList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const ignoreRules = {
+  type: 'object',
+  properties: { ignore: globList },
+  additionalProperties: false,
+};
+
+export const TRACER_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    ignoredDirs: globList,
+    infrastructure: globList,
+    ignore: globList,
+    targets: { type: 'object', additionalProperties: ignoreRules },
+    projects: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          ignore: globList,
+          targets: { type: 'object', additionalProperties: ignoreRules },
+        },
+        additionalProperties: false,
+      },
+    },
+    suppressions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          task: { type: 'string', minLength: 1 },
+          rule: { type: 'string', enum: Object.keys(FINDING_RULES) },
+          match: { type: 'string', minLength: 1 },
+          reason: { type: 'string', minLength: 1 },
+        },
+        required: ['reason'],
+        // A reason alone would suppress everything
+        minProperties: 2,
+        additionalProperties: false,
+      },
+    },
+    skipProjects: globList,
+    defaultTargets: globList,
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Validate a value against the JSON Schema subset used by TRACER_CONFIG_SCHEMA
+ * (type, enum, minLength, items, properties, additionalProperties, required, minProperties).
+ * Returns the errors as "<path>: <message>" strings.
+ */
+export function validateSchema(value, schema, path = '', errors = []) {
+  const where = path || '(root)';
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type && type !== schema.type) {
+    errors.push(`${where}: expected ${schema.type}, got ${type}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${where}: must not be empty`);
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, k) => validateSchema(item, schema.items, `${path}[${k}]`, errors));
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required property "${key}"`);
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push(`${where}: must have at least ${schema.minProperties} properties`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (itemSchema === false) {
+        errors.push(`${where}: unknown property "${key}"`);
+      } else if (itemSchema) {
+        validateSchema(item, itemSchema, path ? `${path}.${key}` : key, errors);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load and validate the workspace's tracer config, merged over DEFAULT_TRACER_CONFIG
+ * io-tracer.config.json takes precedence over the `tracer` key of nx.json.
+ * `source` names where the config came from (null when only defaults apply).
+ * Throws when the config is not valid JSON or does not match the schema.
+ */
+export function loadTracerConfig(workspaceRoot) {
+  let source = null;
+  let settings = {};
+
+  const parse = (file) => {
+    try {
+      return JSON.parse(readFileSync(join(workspaceRoot, file), 'utf-8'));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+    }
+  };
+
+  if (existsSync(join(workspaceRoot, CONFIG_FILE))) {
+    source = CONFIG_FILE;
+    settings = parse(CONFIG_FILE);
+  } else if (existsSync(join(workspaceRoot, 'nx.json'))) {
+    const nxJson = parse('nx.json');
+    if (nxJson.tracer !== undefined) {
+      source = 'nx.json (tracer)';
+      settings = nxJson.tracer;
+    }
+  }
+
+  const errors = validateSchema(settings, TRACER_CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid tracer config in ${source}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  const { $schema, ...overrides } = settings;
+  return { ...DEFAULT_TRACER_CONFIG, ...overrides, source };
+}
+
+const globCache = new Map();
+
+/**
+ * Convert a config glob to a regex: `**` spans directories, `*` and `?` stay within one,
+ * `{a,b}` matches either literal (braces without a comma are literal)
+ */
+function globToRegExp(pattern) {
+  const escape = (text) => text.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    // Only {a,b} is an alternation: Nx tokens like {projectRoot} are literal
+    const braceEnd = char === '{' ? pattern.indexOf('}', i) : -1;
+    const isAlternation = braceEnd !== -1 && pattern.slice(i, braceEnd).includes(',');
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (isAlternation) {
+      source += `(?:${pattern.slice(i + 1, braceEnd).split(',').map(escape).join('|')})`;
+      i = braceEnd;
+    } else {
+      source += escape(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a path (or project name, task id, variable name) matches a config glob
+ * A glob without wildcards also matches everything below it, so "tmp" covers "tmp/a.txt".
+ */
+export function matchesGlob(value, pattern) {
+  if (!/[*?]|\{[^}]*,/.test(pattern)) {
+    const prefix = pattern.replace(/\/$/, '');
+    return value === prefix || value.startsWith(`${prefix}/`);
+  }
+  if (!globCache.has(pattern)) globCache.set(pattern, globToRegExp(pattern));
+  return globCache.get(pattern).test(value);
+}
+
+/**
+ * Ignore globs that apply to `project:target`: global, target-wide, project-wide and per project target
+ */
+export function getIgnorePatterns(config, project, target) {
+  const projectConfig = config.projects[project] || {};
+  return [
+    ...config.ignore,
+    ...(config.targets[target]?.ignore || []),
+    ...(projectConfig.ignore || []),
+    ...(projectConfig.targets?.[target]?.ignore || []),
+  ];
+}
+
+/**
+ * What a finding is about: its path, env variable, package name or external target; the input
+ * (and pattern) of an unused input, or the output and issue of an over-declared one
+ * e.g. "production ({projectRoot}/*.md)", "{projectRoot}/dist (unused)"
+ */
+export function getFindingSubject(finding) {
+  if (finding.output !== undefined) return `${finding.output} (${finding.kind})`;
+  if (finding.input !== undefined) return finding.pattern && finding.pattern !== finding.input ? `${finding.input} (${finding.pattern})` : finding.input;
+  return finding.path ?? finding.name ?? finding.target;
+}
+
+/**
+ * The suppression matching a finding of category `rule`, if any
+ * A suppression matches on every field it sets: `task` (glob of the task id), `rule`, and
+ * `match` (glob of the finding's subject, see getFindingSubject).
+ */
+export function findSuppression(config, rule, finding) {
+  const subject = getFindingSubject(finding);
+  return config.suppressions.find(s =>
+    (!s.rule || s.rule === rule) &&
+    (!s.task || matchesGlob(finding.taskId, s.task)) &&
+    (!s.match || matchesGlob(subject, s.match)));
+}
@@ -0,0 +1,129 @@
+/**
+ * Tests for tracer-config.mjs
+ *
+ * Run with: node --test tracer-config.test.mjs
+ *
+ * Config loading runs against a fresh temp workspace per test.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  CONFIG_FILE, DEFAULT_TRACER_CONFIG, FINDING_RULES, TRACER_CONFIG_SCHEMA,
+  findSuppression, getFindingSubject, loadTracerConfig, matchesGlob, validateSchema,
+} from './tracer-config.mjs';
+
+/**
+ * Run `fn` with a temp workspace root containing `files` ({ name: JSON value })
+ */
+function withWorkspace(files, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'io-tracer-config-'));
+  try {
+    for (const [name, value] of Object.entries(files)) {
+      writeFileSync(join(dir, name), typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return fn(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('validateSchema accepts a config using every key', () => {
+  assert.deepStrictEqual(validateSchema({
+    $schema: './schema.json',
+    ignore: ['tmp'],
+    targets: { lint: { ignore: ['**/*.snap'] } },
+    projects: { app: { ignore: ['cache'], targets: { build: { ignore: ['out'] } } } },
+    suppressions: [{ task: 'app:*', rule: 'unused-input', reason: 'docs are hashed on purpose' }],
+    skipProjects: ['*-e2e'],
+    defaultTargets: ['build', 'test'],
+  }, TRACER_CONFIG_SCHEMA), []);
+});
+
+test('validateSchema reports each error with its path', () => {
+  assert.deepStrictEqual(validateSchema({
+    ignore: 'tmp',
+    targets: { lint: { ignore: [''], exclude: [] } },
+    suppressions: [{ rule: 'no-such-rule', reason: 'x' }, { reason: 'everything' }, { task: 'a:b' }],
+    unknown: true,
+  }, TRACER_CONFIG_SCHEMA), [
+    'ignore: expected array, got string',
+    'targets.lint.ignore[0]: must not be empty',
+    'targets.lint: unknown property "exclude"',
+    `suppressions[0].rule: must be one of ${Object.keys(FINDING_RULES).join(', ')}`,
+    'suppressions[1]: must have at least 2 properties',
+    'suppressions[2]: missing required property "reason"',
+    'suppressions[2]: must have at least 2 properties',
+    '(root): unknown property "unknown"',
+  ]);
+});
+
+test('loadTracerConfig merges io-tracer.config.json over the defaults', () => {
+  withWorkspace({ [CONFIG_FILE]: { ignore: ['tmp'] }, 'nx.json': { tracer: { ignore: ['ignored'] } } }, (root) => {
+    const config = loadTracerConfig(root);
+    assert.strictEqual(config.source, CONFIG_FILE);
+    assert.deepStrictEqual(config.ignore, ['tmp']);
+    assert.deepStrictEqual(config.infrastructure, DEFAULT_TRACER_CONFIG.infrastructure);
+  });
+});
+
+test('loadTracerConfig falls back to the tracer key of nx.json, then to the defaults', () => {
+  withWorkspace({ 'nx.json': { tracer: { defaultTargets: ['lint'] } } }, (root) => {
+    const config = loadTracerConfig(root);
+    assert.strictEqual(config.source, 'nx.json (tracer)');
+    assert.deepStrictEqual(config.defaultTargets, ['lint']);
+  });
+  withWorkspace({ 'nx.json': {} }, (root) => {
+    assert.deepStrictEqual(loadTracerConfig(root), { ...DEFAULT_TRACER_CONFIG, source: null });
+  });
+});
+
+test('loadTracerConfig throws on invalid JSON and on schema errors', () => {
+  withWorkspace({ [CONFIG_FILE]: '{ "ignore": [' }, (root) => {
+    assert.throws(() => loadTracerConfig(root), /Invalid JSON in io-tracer\.config\.json/);
+  });
+  withWorkspace({ [CONFIG_FILE]: { suppressions: [{ reason: 'x' }] } }, (root) => {
+    assert.throws(() => loadTracerConfig(root), /Invalid tracer config in io-tracer\.config\.json:\n {2}- suppressions\[0\]: must have at least 2 properties/);
+  });
+});
+
+test('matchesGlob treats a glob without wildcards as a path prefix', () => {
+  assert.ok(matchesGlob('tmp', 'tmp'));
+  assert.ok(matchesGlob('tmp/a.txt', 'tmp/'));
+  assert.ok(!matchesGlob('tmpdir/a.txt', 'tmp'));
+});
+
+test('matchesGlob supports **, *, ? and {a,b}, and keeps Nx tokens literal', () => {
+  assert.ok(matchesGlob('libs/a/jest.config.ts', '**/jest.config.{ts,js}'));
+  assert.ok(matchesGlob('jest.config.js', '**/jest.config.{ts,js}'));
+  assert.ok(!matchesGlob('libs/a/src/x.ts', 'libs/*/x.ts'));
+  assert.ok(matchesGlob('libs/a/src/x.ts', 'libs/**/x.ts'));
+  assert.ok(matchesGlob('v1.txt', 'v?.txt'));
+  assert.ok(matchesGlob('production ({projectRoot}/*.md)', 'production ({projectRoot}/*)'));
+  assert.ok(matchesGlob('{projectRoot}/dist (unused)', '{projectRoot}/dist (*)'));
+});
+
+test('getFindingSubject names what a finding is about', () => {
+  assert.strictEqual(getFindingSubject({ path: 'libs/a/x.ts' }), 'libs/a/x.ts');
+  assert.strictEqual(getFindingSubject({ name: 'API_URL' }), 'API_URL');
+  assert.strictEqual(getFindingSubject({ input: 'production', pattern: '{projectRoot}/*.md' }), 'production ({projectRoot}/*.md)');
+  assert.strictEqual(getFindingSubject({ input: '{projectRoot}/a.txt', pattern: '{projectRoot}/a.txt' }), '{projectRoot}/a.txt');
+  assert.strictEqual(getFindingSubject({ output: '{projectRoot}/dist', kind: 'unused' }), '{projectRoot}/dist (unused)');
+});
+
+test('findSuppression matches on every field a suppression sets', () => {
+  const config = {
+    suppressions: [
+      { rule: 'undeclared-input', task: 'a:*', match: 'libs/a/**/*.md', reason: 'docs' },
+      { rule: 'nondeterministic-output', match: '**/build-info.json', reason: 'timestamps' },
+    ],
+  };
+  const readme = { taskId: 'a:build', path: 'libs/a/README.md' };
+  assert.strictEqual(findSuppression(config, 'undeclared-input', readme).reason, 'docs');
+  assert.strictEqual(findSuppression(config, 'undeclared-output', readme), undefined);
+  assert.strictEqual(findSuppression(config, 'undeclared-input', { ...readme, taskId: 'b:build' }), undefined);
+  assert.strictEqual(findSuppression(config, 'nondeterministic-output', { taskId: 'b:build', path: 'dist/build-info.json' }).reason, 'timestamps');
+});
@@ -2,21 +2,27 @@
 /**
  * Nx-aware I/O Tracer - Traces file I/O and compares against declared inputs/outputs
  *
- * Usage: [sudo] node tracer-nx.mjs <project>:<target> [nx-options]
+ * Usage: [sudo] node tracer-nx.mjs <project>:<target> [--tracer-backend=<name>] [--tracer-format=<format>] [--tracer-output-<format> <file>] [nx-options]
  * Example: sudo node tracer-nx.mjs data-processor:process-data --skip-nx-cache
  *
  * Auto-detects platform:
  *   - macOS: uses fs_usage (requires sudo)
- *   - Linux: uses strace
+ *   - Linux: uses strace, or bpftrace with --tracer-backend=ebpf (requires root, lower overhead),
+ *     or an LD_PRELOAD shim with --tracer-backend=preload (no privileges, misses static binaries)
  *
  * Compares traced I/O against Nx project configuration and reports mismatches.
  */
 
 import { spawn, execSync } from 'child_process';
-import { dirname, relative, resolve, join } from 'path';
+import { createHash } from 'crypto';
+import { basename, dirname, extname, relative, resolve, join } from 'path';
 import { fileURLToPath } from 'url';
-import { existsSync, readFileSync, writeFileSync, unlinkSync, statSync, createWriteStream } from 'fs';
-import { platform } from 'os';
+import { existsSync, readFileSync, writeFileSync, unlinkSync, statSync, lstatSync, createWriteStream, readdirSync, mkdirSync, mkdtempSync, rmSync, utimesSync, renameSync, chmodSync, accessSync, constants as fsConstants } from 'fs';
+import { homedir, platform, tmpdir } from 'os';
+import { buildSarifReport, buildJunitReport } from './report-formats.mjs';
+import { addToJsonArray, createUnifiedDiff } from './config-fixes.mjs';
+import { readBaseline, writeBaseline, getBaselineEntries, removeBaselineFindings, compareWithBaseline } from './baseline.mjs';
+import { DEFAULT_TRACER_CONFIG, FINDING_RULES, loadTracerConfig, matchesGlob, getIgnorePatterns, findSuppression, getFindingSubject } from './tracer-config.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -39,7 +45,7 @@ function getNamedInputs() {
 }
 
 /**
- * Recursively resolve a named input to file patterns
+ * Recursively resolve a named input to file patterns, `{ env }` and `{ externalDependencies }` inputs
  * Handles: named inputs, file globs, negation patterns, runtime/external deps
  */
 function resolveNamedInput(input, visited = new Set()) {
@@ -70,20 +76,23 @@ function resolveNamedInput(input, visited = new Set()) {
     return [input];
   }
 
-  // Skip non-file inputs (runtime, externalDependencies, env)
+  // Keep env and externalDependencies inputs (compared against traced reads); skip runtime inputs
   if (typeof input === 'object') {
-    return [];
+    return input && (typeof input.env === 'string' || Array.isArray(input.externalDependencies)) ? [input] : [];
   }
 
   return [];
 }
 
 /**
- * Expand inputs array, resolving all named inputs to file patterns
+ * Expand inputs array, resolving all named inputs to file patterns, env variable names
+ * and external dependency package names
  */
 function expandInputs(inputs) {
   const expanded = [];
   const negations = [];
+  const env = [];
+  const externalDependencies = [];
 
   for (const input of inputs) {
     const resolved = resolveNamedInput(input);
@@ -94,87 +103,92 @@ function expandInputs(inputs) {
         } else {
           expanded.push(pattern);
         }
+      } else if (pattern.env) {
+        env.push(pattern.env);
+      } else {
+        externalDependencies.push(...pattern.externalDependencies);
       }
     }
   }
 
-  return { patterns: expanded, negations };
+  return { patterns: expanded, negations, env, externalDependencies };
 }
 
 // Configuration
 const CONFIG = {
   workspaceRoot,
-  ignoredDirs: ['node_modules', '.nx', '.git', '.angular', '.pnpm-store', 'proc', 'dev', 'sys', 'private', 'var', 'tmp'],
-  // Files that Nx reads during task execution (infrastructure, not task-specific)
-  nxInfraFiles: [
-    'nx.json',
-    'package.json',
-    'pnpm-lock.yaml',
-    'package-lock.json',
-    'yarn.lock',
-    'tsconfig.base.json',
-    'tsconfig.json',
-    '.gitignore',
-    '.nxignore',
-    '.claude',
+  // Ignored directories, infrastructure files, ignore globs and suppressions: the workspace's
+  // io-tracer.config.json or "tracer" key of nx.json (loaded in main, see tracer-config.mjs)
+  tracer: DEFAULT_TRACER_CONFIG,
+  // Trace logs are per tracer process, so concurrent runs (run-all-traces.mjs --parallel) don't clobber each other
+  straceOutputFile: `/tmp/nx-tracer-strace-${process.pid}.txt`,
+  fsUsageOutputFile: `/tmp/nx-tracer-fsusage-${process.pid}.txt`,
+  ebpfOutputFile: `/tmp/nx-tracer-ebpf-${process.pid}.txt`,
+  // bpftrace's string size (BPFTRACE_STRLEN, including the NUL): strings live on the 512-byte BPF
+  // stack, so longer paths are cut off; those accesses are dropped and reported
+  ebpfStrlen: 200,
+  preloadOutputFile: `/tmp/nx-tracer-preload-${process.pid}.txt`,
+  // Next to the tracer, not in a shared directory where another user could plant a library that
+  // every traced process would load (see buildPreloadLibrary for the fallback)
+  preloadLibrary: join(__dirname, 'io-tracer-preload.so'),
+  envLogFile: `/tmp/nx-tracer-env-${process.pid}.txt`,
+  // Extra environment for the traced command (--tracer-env loads its hooks through it)
+  taskEnv: {},
+  // --tracer-env: variables read by runtimes, shells and CI runners that don't change task
+  // outputs, never reported (a trailing * matches any suffix)
+  envAllowlist: [
+    'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'PWD', 'OLDPWD', 'SHLVL', 'HOSTNAME', '_',
+    'TERM', 'TERM_PROGRAM', 'COLORTERM', 'FORCE_COLOR', 'NO_COLOR', 'COLUMNS', 'LINES',
+    'LANG', 'LANGUAGE', 'LC_*', 'TMPDIR', 'TMP', 'TEMP', 'XDG_*', 'DEBUG', 'DEBUG_*',
+    // CI runners
+    'CI', 'CONTINUOUS_INTEGRATION', 'BUILD_NUMBER', 'RUN_ID', 'GITHUB_*', 'GITLAB_*', 'CI_*',
+    'CIRCLE*', 'BUILDKITE*', 'JENKINS_*', 'TRAVIS*', 'TF_BUILD', 'AGENT_*', 'SYSTEM_*',
+    // Node, npm and the dynamic linker
+    'NODE_OPTIONS', 'NODE_DEBUG', 'NODE_DEBUG_NATIVE', 'NODE_V8_COVERAGE', 'NODE_NO_WARNINGS',
+    'NODE_PENDING_DEPRECATION', 'NODE_PRESERVE_SYMLINKS*', 'NODE_REDIRECT_WARNINGS', 'NODE_ICU_DATA',
+    'NODE_EXTRA_CA_CERTS', 'NODE_CHANNEL_*', 'NODE_UNIQUE_ID', 'NODE_COMPILE_CACHE*', 'NODE_TEST_*',
+    'NODE_REPL_*', 'NODE_PATH', 'UV_*', 'OPENSSL_*', 'SIMDUTF_*', 'ICU_TIMEZONE_FILES_DIR', 'WATCH_REPORT_DEPENDENCIES',
+    'npm_*', 'NPM_CONFIG_*', 'COREPACK_*', 'LD_*', 'MALLOC_*', 'GLIBC_TUNABLES',
+    // Nx's own task environment and the tracer's hooks
+    'NX_TASK_TARGET_*', 'NX_TASK_HASH', 'NX_WORKSPACE_ROOT*', 'NX_VERBOSE_LOGGING', 'NX_DAEMON',
+    'NX_PERF_LOGGING', 'NX_CLOUD_*', 'NX_NO_CLOUD', 'NX_TERMINAL_*', 'NX_STREAM_OUTPUT',
+    'NX_PREFIX_OUTPUT', 'NX_FORKED_TASK_EXECUTOR', 'NX_SET_CLI', 'NX_LOAD_DOT_ENV_FILES',
+    'NX_CLI_SET', 'IO_TRACER_*',
   ],
-  // Patterns for Nx infrastructure reads (project configs, etc.)
-  nxInfraPatterns: [
-    /\/project\.json$/,
-    /\/package\.json$/,
-    /^project\.json$/,
-    /^\.nx/,
-    // TypeScript configs
-    /tsconfig\..*\.json$/,
-    /tsconfig\.json$/,
-    // Jest configs
-    /jest\.config\.(ts|js|cts|mts|cjs|mjs)$/,
-    // ESLint configs
-    /eslint\.config\.(ts|js|cts|mts|cjs|mjs)$/,
-    /\.eslintrc/,
-    // Other workspace config files
-    /pnpm-workspace\.yaml$/,
-    /rust-toolchain\.toml$/,
-    /\.swcrc$/,
-    // Nx plugin files
-    /executors\.json$/,
-    /generators\.json$/,
-    /migrations\.json$/,
-    /schema\.json$/,
-    // Git files (Nx scans for project detection)
-    /\.gitignore$/,
-    /\.gitattributes$/,
-    // Environment files
-    /\.env/,
-    /\.local\.env$/,
-    // Rspack/webpack configs (Nx plugin detection)
-    /rspack\.config\.(ts|js|mjs|cjs)$/,
-    /webpack\.config\.(ts|js|mjs|cjs)$/,
-    // Husky
-    /\.husky\//,
-    // Publishing artifacts (not task inputs)
-    /\.npmignore$/,
-    /LICENSE$/,
-  ],
-  straceOutputFile: '/tmp/nx-tracer-strace.txt',
-  fsUsageOutputFile: '/tmp/nx-tracer-fsusage.txt',
+  // stdio of the traced command; with --tracer-format=json its stdout goes to stderr so stdout is only the report
+  taskStdio: 'inherit',
+  // --tracer-verify reruns the task once per suspect read: cap the number of reruns
+  verifyMaxReads: 20,
+  // Reads outside the workspace under these prefixes are not external inputs (pseudo-filesystems, temp files)
+  externalIgnoredPrefixes: ['/proc/', '/sys/', '/dev/', '/run/', '/tmp/', '/var/tmp/', '/private/tmp/', '/private/var/folders/'],
+  // Categories of reads outside the workspace, checked in order (`~/` is $HOME)
+  externalCategories: {
+    toolchain: [
+      '/usr/', '/lib/', '/lib64/', '/bin/', '/sbin/', '/opt/', '/snap/', '/nix/',
+      '~/.nvm/', '~/.volta/', '~/.fnm/', '~/.npm/', '~/.yarn/', '~/.bun/', '~/.deno/', '~/.local/share/pnpm/',
+      '~/.cargo/', '~/.rustup/', '~/.gradle/', '~/.m2/', '~/.sdkman/', '~/.pyenv/', '~/.cache/',
+    ],
+    'user-config': ['~/'],
+    system: ['/'],
+  },
+};
+
+// Exit codes, most severe first: a tracer failure hides a task failure, which hides findings
+const EXIT_CODES = {
+  success: 0,
+  // Findings in the --tracer-fail-on categories (with --tracer-baseline, only new ones)
+  findings: 1,
+  // The traced Nx task exited non-zero
+  taskFailed: 2,
+  // Bad usage or config, unavailable backend, or an error in the tracer itself
+  tracerError: 3,
 };
 
 /**
  * Check if a path is Nx infrastructure (not task-specific I/O)
  */
 function isNxInfrastructure(filePath) {
-  // Check exact matches
-  if (CONFIG.nxInfraFiles.includes(filePath)) {
-    return true;
-  }
-  // Check patterns
-  for (const pattern of CONFIG.nxInfraPatterns) {
-    if (pattern.test(filePath)) {
-      return true;
-    }
-  }
-  return false;
+  return CONFIG.tracer.infrastructure.some(pattern => matchesGlob(filePath, pattern));
 }
 
 /**
@@ -194,6 +208,28 @@ function warmUpNxCache() {
   }
 }
 
+/**
+ * Exit code of each task of the last Nx run, from the run.json Nx writes to its cache
+ * directory when a command ends. Returns Map<taskId, code>, or null when there is no
+ * run.json written after `since` (ms), e.g. with an Nx version that doesn't write it.
+ */
+function readNxTaskExitCodes(since) {
+  try {
+    const script = `console.log(require('nx/src/utils/cache-directory').cacheDir)`;
+    const cacheDir = execSync(`node -e "${script}"`, {
+      cwd: CONFIG.workspaceRoot,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+    }).trim();
+    const runFile = join(cacheDir, 'run.json');
+    if (statSync(runFile).mtimeMs < since) return null;
+    const { tasks } = JSON.parse(readFileSync(runFile, 'utf-8'));
+    return new Map(tasks.map(t => [t.taskId, t.status]));
+  } catch {
+    return null;
+  }
+}
+
 // ============================================================================
 // Platform Detection
 // ============================================================================
@@ -213,15 +249,56 @@ function checkSudo() {
 // Nx Project Config
 // ============================================================================
 
-function getNxProjectConfig(project, target) {
+/**
+ * Replace {options.name} in an output pattern with the target's option value, as Nx does
+ */
+function interpolateOptions(pattern, options) {
+  return pattern.replace(/\{options\.(\w+)\}/g, (match, key) => (options?.[key] !== undefined ? String(options[key]) : match));
+}
+
+// Project configurations (`nx show project --json`) by project name, see loadProjectConfigs
+const _projectConfigCache = new Map();
+
+/**
+ * Load every project's configuration from the project graph in one go, instead of one
+ * `nx show project` per project (tracing run-many/affected analyzes many projects)
+ */
+function loadProjectConfigs() {
   try {
-    const output = execSync(`npx nx show project ${project} --json`, {
+    const script = `
+const { createProjectGraphAsync } = require('@nx/devkit');
+async function main() {
+  const graph = await createProjectGraphAsync();
+  console.log(JSON.stringify(Object.fromEntries(Object.values(graph.nodes).map(n => [n.name, n.data]))));
+}
+main();
+`;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"').replace(/\n/g, ' ')}"`, {
       cwd: CONFIG.workspaceRoot,
       encoding: 'utf-8',
       stdio: ['pipe', 'pipe', 'pipe'],
-      env: process.env,
+      maxBuffer: 100 * 1024 * 1024,
     });
-    const config = JSON.parse(output);
+    for (const [name, config] of Object.entries(JSON.parse(output.trim()))) {
+      _projectConfigCache.set(name, config);
+    }
+  } catch (err) {
+    console.log(`[tracer] Could not load the project graph, fetching project configs one by one: ${err.message}`);
+  }
+}
+
+function getNxProjectConfig(project, target) {
+  try {
+    if (!_projectConfigCache.has(project)) {
+      const output = execSync(`npx nx show project ${project} --json`, {
+        cwd: CONFIG.workspaceRoot,
+        encoding: 'utf-8',
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: process.env,
+      });
+      _projectConfigCache.set(project, JSON.parse(output));
+    }
+    const config = _projectConfigCache.get(project);
     const targetConfig = config.targets?.[target];
 
     if (!targetConfig) {
@@ -234,10 +311,11 @@ function getNxProjectConfig(project, target) {
 
     return {
       project,
+      targetName: target,
       root: config.root,
       target: targetConfig,
       inputs: targetConfig.inputs || [],
-      outputs: targetConfig.outputs || [],
+      outputs: (targetConfig.outputs || []).map(o => interpolateOptions(o, targetConfig.options)),
       cache: isCacheable,
     };
   } catch (err) {
@@ -335,12 +413,90 @@ function getTaskConfig(project, target) {
   return configs;
 }
 
+function readWorkspaceJson(file) {
+  try {
+    return JSON.parse(readFileSync(join(CONFIG.workspaceRoot, file), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the config entry that declares a task's inputs or outputs (`key`)
+ * Looks at the project's project.json, then package.json "nx", then the nx.json targetDefaults
+ * entry for the target name or executor. If none declares it, returns where a declaration
+ * would go: the target in project.json (or package.json "nx" for package.json-only projects).
+ * With projectOnly, targetDefaults are skipped (edits there would apply to every project).
+ * Returns { file, path, declared } with file relative to the workspace root and path the
+ * JSON path of the array in it.
+ */
+function findTaskConfigSource(config, key, { projectOnly = false } = {}) {
+  const target = config.targetName;
+  const projectJsonFile = join(config.root, 'project.json');
+  const packageJsonFile = join(config.root, 'package.json');
+
+  const projectJson = readWorkspaceJson(projectJsonFile);
+  if (projectJson?.targets?.[target]?.[key]) {
+    return { file: projectJsonFile, path: ['targets', target, key], declared: true };
+  }
+
+  const packageJson = readWorkspaceJson(packageJsonFile);
+  if (packageJson?.nx?.targets?.[target]?.[key]) {
+    return { file: packageJsonFile, path: ['nx', 'targets', target, key], declared: true };
+  }
+
+  const defaults = projectOnly ? {} : readWorkspaceJson('nx.json')?.targetDefaults || {};
+  for (const name of [target, config.target?.executor]) {
+    if (name && defaults[name]?.[key]) {
+      return { file: 'nx.json', path: ['targetDefaults', name, key], declared: true };
+    }
+  }
+
+  if (projectJson || !packageJson) {
+    return { file: projectJsonFile, path: ['targets', target, key], declared: false };
+  }
+  return { file: packageJsonFile, path: ['nx', 'targets', target, key], declared: false };
+}
+
+/**
+ * Find the line declaring a task's inputs or outputs, so findings can point at it
+ * Returns { file, line }: the deepest property of the findTaskConfigSource path that
+ * exists in the file (line 1 if none does).
+ */
+function findTaskConfigLocation(config, key) {
+  const { file, path } = findTaskConfigSource(config, key);
+  let text = '';
+  try {
+    text = readFileSync(join(CONFIG.workspaceRoot, file), 'utf-8');
+  } catch {}
+
+  let index = -1;
+  for (const name of path) {
+    const next = text.indexOf(`"${name}"`, index + 1);
+    if (next === -1) break;
+    index = next;
+  }
+  return { file, line: index === -1 ? 1 : text.slice(0, index).split('\n').length };
+}
+
 /**
  * Get resolved file inputs using HashPlanInspector
  * This uses Nx's internal logic to resolve all named inputs, dependencies, etc.
  */
 function getResolvedInputs(project, target) {
+  return getResolvedInputsByTask([`${project}:${target}`])?.get(`${project}:${target}`) ?? null;
+}
+
+/**
+ * Resolved file inputs of several tasks with one HashPlanInspector: Map of taskId -> Set of files
+ * Returns null if Nx's inspector is unavailable; tasks it can't inspect are left out.
+ */
+function getResolvedInputsByTask(taskIds) {
   try {
+    const tasks = taskIds.map(taskId => {
+      const separator = taskId.indexOf(':');
+      return { project: taskId.slice(0, separator), target: taskId.slice(separator + 1) };
+    });
     // Inline script to avoid path issues - runs from workspace with local node_modules
     const script = `
 const { createProjectGraphAsync } = require('@nx/devkit');
@@ -349,18 +505,27 @@ async function main() {
   const graph = await createProjectGraphAsync();
   const inspector = new HashPlanInspector(graph);
   await inspector.init();
-  const plan = inspector.inspectTask({ project: '${project}', target: '${target}' });
-  const files = new Set();
-  for (const inputs of Object.values(plan)) {
-    if (Array.isArray(inputs)) {
-      for (const input of inputs) {
-        if (typeof input === 'string' && input.startsWith('file:')) {
-          files.add(input.replace('file:', ''));
+  const result = {};
+  for (const task of ${JSON.stringify(tasks)}) {
+    let plan;
+    try {
+      plan = inspector.inspectTask(task);
+    } catch {
+      continue;
+    }
+    const files = new Set();
+    for (const inputs of Object.values(plan)) {
+      if (Array.isArray(inputs)) {
+        for (const input of inputs) {
+          if (typeof input === 'string' && input.startsWith('file:')) {
+            files.add(input.replace('file:', ''));
+          }
         }
       }
     }
+    result[task.project + ':' + task.target] = [...files];
   }
-  console.log(JSON.stringify([...files]));
+  console.log(JSON.stringify(result));
 }
 main();
 `;
@@ -369,10 +534,10 @@ main();
       encoding: 'utf-8',
       stdio: ['pipe', 'pipe', 'pipe'],
       env: process.env,
-      maxBuffer: 50 * 1024 * 1024, // 50MB for large output
+      maxBuffer: 50 * 1024 * 1024 * Math.max(1, Math.ceil(taskIds.length / 10)), // 50MB per 10 tasks
     });
-    const files = JSON.parse(output.trim());
-    return new Set(files);
+    const filesByTask = JSON.parse(output.trim());
+    return new Map(Object.entries(filesByTask).map(([taskId, files]) => [taskId, new Set(files)]));
   } catch (err) {
     console.log(`[tracer] Could not get resolved inputs via HashPlanInspector: ${err.message}`);
     console.log(`[tracer] Falling back to manual named input resolution`);
@@ -474,12 +639,51 @@ function matchesPatterns(filePath, inputs, projectRoot) {
 function parseFsUsageOutput(fsUsageOutput) {
   const reads = new Set();
   const writes = new Set();
+  const probes = new Set();
+  const listings = new Set();
+  const deletes = new Set();
+  const missing = new Set();
 
   const lines = fsUsageOutput.split('\n');
 
   for (const line of lines) {
     if (!line.trim()) continue;
 
+    // Match lookups that failed with ENOENT: "stat64  [  2]  /path"
+    const missingMatch = line.match(/\b(stat64|lstat64|access|getattrlist)\s+\[\s*2\]\s+(\/[^\s]+)/);
+    if (missingMatch) {
+      const filePath = missingMatch[2];
+      if (!isRelevantPath(filePath)) continue;
+
+      const relativePath = relative(CONFIG.workspaceRoot, filePath);
+      if (!relativePath || relativePath.startsWith('..')) continue;
+
+      missing.add(relativePath);
+      continue;
+    }
+
+    // Match path-only syscalls; failed calls print "[ errno]" before the path and don't match
+    const pathMatch = line.match(/\b(stat64|lstat64|access|getattrlist|readlink|mkdir|unlink|rmdir|getdirentries64)\s+(\/[^\s]+)/);
+    if (pathMatch) {
+      const [, syscall, filePath] = pathMatch;
+      if (!isRelevantPath(filePath)) continue;
+
+      const relativePath = relative(CONFIG.workspaceRoot, filePath);
+      if (!relativePath || relativePath.startsWith('..')) continue;
+
+      if (syscall === 'mkdir') {
+        writes.add(relativePath);
+      } else if (syscall === 'unlink' || syscall === 'rmdir') {
+        if (writes.has(relativePath)) writes.delete(relativePath);
+        else deletes.add(relativePath);
+      } else if (syscall === 'getdirentries64') {
+        listings.add(relativePath);
+      } else {
+        probes.add(relativePath);
+      }
+      continue;
+    }
+
     // Match open syscalls with flags pattern
     const openMatch = line.match(/\bopen\s+F=\d+\s+\(([^)]+)\)\s+(\/[^\s]+)/);
     if (openMatch) {
@@ -507,6 +711,10 @@ function parseFsUsageOutput(fsUsageOutput) {
   return {
     reads: Array.from(reads).sort(),
     writes: Array.from(writes).sort(),
+    probes: Array.from(probes).sort(),
+    listings: Array.from(listings).sort(),
+    deletes: Array.from(deletes).sort(),
+    missing: Array.from(missing).sort(),
   };
 }
 
@@ -514,7 +722,7 @@ async function traceMacOS(command, args) {
   if (!checkSudo()) {
     console.error('Error: fs_usage requires root privileges on macOS.');
     console.error('Please run with: sudo node tracer-nx.mjs <project>:<target>');
-    process.exit(1);
+    process.exit(EXIT_CODES.tracerError);
   }
 
   // Create write stream for fs_usage output (avoid memory issues with large repos)
@@ -537,7 +745,7 @@ async function traceMacOS(command, args) {
     cwd: CONFIG.workspaceRoot,
     stdio: ['inherit', 'pipe', 'pipe'],
     detached: false,
-    env: process.env,
+    env: { ...process.env, ...CONFIG.taskEnv },
   });
 
   const pid = targetProcess.pid;
@@ -545,7 +753,7 @@ async function traceMacOS(command, args) {
   console.log(`[tracer] fs_usage tracing all filesystem activity (filtering by workspace path)`);
 
   targetProcess.stdout.on('data', (data) => {
-    process.stdout.write(data);
+    (CONFIG.taskStdio === 'inherit' ? process.stdout : process.stderr).write(data);
   });
   targetProcess.stderr.on('data', (data) => {
     process.stderr.write(data);
@@ -590,57 +798,539 @@ async function traceMacOS(command, args) {
 // Linux: strace tracer
 // ============================================================================
 
-function parseStraceOutput(straceOutput) {
-  const reads = new Set();
-  const writes = new Set();
+/**
+ * File-related syscalls traced via strace, with the argument positions that
+ * carry paths (and the dirfd they are relative to) and how each access is classified:
+ *   - read:   file contents were read
+ *   - write:  file was created or modified
+ *   - probe:  file existence/metadata was checked (stat, access, readlink)
+ *   - list:   directory entries were enumerated
+ *   - delete: file was removed
+ *   - connect: a network connection was attempted (whatever the outcome)
+ * `open` is classified from its flags; `rename`/`link` move a path from `from` to `to`.
+ * The remaining kinds only update per-process state (cwd, fd table, fork inheritance,
+ * and the Nx task a process belongs to, read from the environment at exec).
+ */
+const STRACE_SYSCALLS = {
+  open:       { kind: 'open', path: 0, flags: 1 },
+  openat:     { kind: 'open', dirfd: 0, path: 1, flags: 2 },
+  openat2:    { kind: 'open', dirfd: 0, path: 1, flags: 2 },
+  creat:      { kind: 'write', path: 0 },
+  stat:       { kind: 'probe', path: 0 },
+  lstat:      { kind: 'probe', path: 0 },
+  newfstatat: { kind: 'probe', dirfd: 0, path: 1 },
+  statx:      { kind: 'probe', dirfd: 0, path: 1 },
+  access:     { kind: 'probe', path: 0 },
+  faccessat:  { kind: 'probe', dirfd: 0, path: 1 },
+  faccessat2: { kind: 'probe', dirfd: 0, path: 1 },
+  readlink:   { kind: 'probe', path: 0 },
+  readlinkat: { kind: 'probe', dirfd: 0, path: 1 },
+  getdents:   { kind: 'list', fd: 0 },
+  getdents64: { kind: 'list', fd: 0 },
+  mkdir:      { kind: 'write', path: 0 },
+  mkdirat:    { kind: 'write', dirfd: 0, path: 1 },
+  unlink:     { kind: 'delete', path: 0 },
+  unlinkat:   { kind: 'delete', dirfd: 0, path: 1 },
+  rmdir:      { kind: 'delete', path: 0 },
+  rename:     { kind: 'rename', from: 0, to: 1 },
+  renameat:   { kind: 'rename', fromDirfd: 0, from: 1, toDirfd: 2, to: 3 },
+  renameat2:  { kind: 'rename', fromDirfd: 0, from: 1, toDirfd: 2, to: 3 },
+  link:       { kind: 'link', from: 0, to: 1 },
+  linkat:     { kind: 'link', fromDirfd: 0, from: 1, toDirfd: 2, to: 3 },
+  symlink:    { kind: 'write', path: 1 },
+  symlinkat:  { kind: 'write', dirfd: 1, path: 2 },
+  connect:    { kind: 'connect', address: 1 },
+  chdir:      { kind: 'chdir', path: 0 },
+  fchdir:     { kind: 'fchdir', fd: 0 },
+  close:      { kind: 'close', fd: 0 },
+  dup:        { kind: 'dup', fd: 0 },
+  dup2:       { kind: 'dup', fd: 0 },
+  dup3:       { kind: 'dup', fd: 0 },
+  fcntl:      { kind: 'dup', fd: 0, command: 1 },
+  execve:     { kind: 'exec', env: 2 },
+  execveat:   { kind: 'exec', env: 3 },
+  clone:      { kind: 'fork' },
+  clone3:     { kind: 'fork' },
+  fork:       { kind: 'fork' },
+  vfork:      { kind: 'fork' },
+};
 
-  const lines = straceOutput.split('\n');
+/**
+ * Split a strace argument list on top-level commas
+ * Respects quoted strings, structs ({...}) and arrays ([...])
+ */
+function splitStraceArgs(argsStr) {
+  const args = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (let i = 0; i < argsStr.length; i++) {
+    const char = argsStr[i];
+
+    if (inString) {
+      current += char;
+      if (char === '\\') {
+        current += argsStr[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
 
-  for (const line of lines) {
-    // Match completed syscalls: openat(AT_FDCWD, "/path", O_RDONLY|O_CLOEXEC) = 31
-    let openatMatch = line.match(/openat\(AT_FDCWD,\s*"([^"]+)",\s*([^)]+)\)\s*=\s*(\d+)/);
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[' || char === '(') depth++;
+    else if (char === '}' || char === ']' || char === ')') depth--;
+    else if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
 
-    // Also match unfinished syscalls: openat(AT_FDCWD, "/path", O_RDONLY|O_CLOEXEC <unfinished ...>
-    // These occur in multi-threaded tracing when a syscall starts but another thread interrupts
-    // The syscall will eventually complete (shown in a "resumed" line), so we should capture it
-    if (!openatMatch) {
-      openatMatch = line.match(/openat\(AT_FDCWD,\s*"([^"]+)",\s*([^)<]+)\s*<unfinished/);
+  if (current.trim()) args.push(current.trim());
+  return args;
+}
+
+/**
+ * Decode a strace quoted string argument ("..." with C-style escapes)
+ * Returns null if the argument is not a string literal
+ */
+function unquoteStraceString(arg) {
+  const match = arg?.match(/^"((?:[^"\\]|\\.)*)"/);
+  if (!match) return null;
+
+  const bytes = [];
+  const raw = match[1];
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] !== '\\') {
+      bytes.push(...Buffer.from(raw[i]));
+      continue;
     }
+    const next = raw[++i];
+    if (next === 'x') {
+      bytes.push(parseInt(raw.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else if (/[0-7]/.test(next)) {
+      const octal = raw.slice(i).match(/^[0-7]{1,3}/)[0];
+      bytes.push(parseInt(octal, 8));
+      i += octal.length - 1;
+    } else {
+      const escapes = { n: 10, t: 9, r: 13, v: 11, f: 12 };
+      bytes.push(escapes[next] ?? next.charCodeAt(0));
+    }
+  }
+  return Buffer.from(bytes).toString('utf-8');
+}
 
-    if (openatMatch) {
-      const [, filePath, flags] = openatMatch;
+function isWriteOpen(flags) {
+  return flags.includes('O_WRONLY') || flags.includes('O_RDWR') || flags.includes('O_CREAT') || flags.includes('O_TRUNC');
+}
 
-      if (!isRelevantPath(filePath)) continue;
+/**
+ * Per-process state needed to resolve relative paths: cwd and the fd→path table
+ * Threads share both (CLONE_FS / CLONE_FILES), so they are held by reference
+ * `task` is the Nx task (project:target) the process runs for, inherited across forks
+ */
+function createProcessState(cwd, fds = new Map(), task = null) {
+  return { fs: { cwd }, fds, task };
+}
 
-      const relativePath = relative(CONFIG.workspaceRoot, filePath);
-      if (!relativePath || relativePath.startsWith('..')) continue;
+/**
+ * Derive a child's state at fork/clone time (`parentPid` is the process that forked it)
+ */
+function forkProcessState(parent, cloneArgs, parentPid) {
+  return {
+    fs: cloneArgs.includes('CLONE_FS') ? parent.fs : { cwd: parent.fs.cwd },
+    fds: cloneArgs.includes('CLONE_FILES') ? parent.fds : new Map(parent.fds),
+    task: parent.task,
+    parentPid,
+  };
+}
 
-      if (flags.includes('O_WRONLY') || flags.includes('O_RDWR') || flags.includes('O_CREAT') || flags.includes('O_TRUNC')) {
-        writes.add(relativePath);
-      }
-      if (flags.includes('O_RDONLY') || flags.includes('O_RDWR') || (!flags.includes('O_WRONLY'))) {
-        reads.add(relativePath);
-      }
+/**
+ * Resolve a path argument against its dirfd (or the process cwd) to an absolute path
+ * Returns null when the directory it is relative to is unknown
+ */
+function resolveStracePath(state, filePath, dirfd) {
+  if (filePath === null || filePath === undefined) return null;
+  if (filePath.startsWith('/')) return filePath;
+
+  let base = state.fs.cwd;
+  if (dirfd !== undefined && dirfd !== 'AT_FDCWD') {
+    base = state.fds.get(dirfd);
+  }
+  if (!base) return null;
+  return resolve(base, filePath);
+}
+
+/**
+ * Parse the tail of a syscall line: `args...) = result [ERRNO (message)]`
+ */
+function parseStraceResult(pid, syscall, tail) {
+  const match = tail.match(/^(.*)\)\s+=\s+(-?\d+|0x[0-9a-f]+|\?)(?:\s+(E[A-Z0-9]+))?/);
+  if (!match) return null;
+  const [, args, result, errno = null] = match;
+  return { pid, syscall, args, result, errno };
+}
+
+/**
+ * Parse a single strace line
+ * Returns { pid, syscall, args, result, errno } for a complete call,
+ * { unfinished: true, ... } / { resumed: true, ... } for the halves of an interrupted call,
+ * or null for signals, exits and anything else
+ */
+function parseStraceLine(line) {
+  const pidMatch = line.match(/^(\d+)\s+(.*)$/);
+  const pid = pidMatch ? pidMatch[1] : '0';
+  const body = pidMatch ? pidMatch[2] : line;
+
+  // 1234 <... openat resumed>) = 3
+  const resumed = body.match(/^<\.\.\. (\w+) resumed>(.*)$/);
+  if (resumed) {
+    return { pid, syscall: resumed[1], rest: resumed[2], resumed: true };
+  }
+
+  // 1234 openat(AT_FDCWD, "/path", O_RDONLY <unfinished ...>
+  const unfinished = body.match(/^(\w+)\((.*?)\s*<unfinished \.\.\.>$/);
+  if (unfinished) {
+    return { pid, syscall: unfinished[1], args: unfinished[2], unfinished: true };
+  }
+
+  // 1234 openat(AT_FDCWD, "/path", O_RDONLY|O_CLOEXEC) = 31
+  const call = body.match(/^(\w+)\((.*)$/);
+  if (!call) return null;
+  return parseStraceResult(pid, call[1], call[2]);
+}
+
+/**
+ * Parse strace output into complete syscall records, in order of completion
+ * Multi-threaded tracing splits a syscall into "<unfinished ...>" and "<... resumed>"
+ * lines when another thread interrupts; the halves are joined by PID. Calls that never
+ * resumed (process killed mid-syscall) are dropped since their outcome is unknown.
+ */
+function parseStraceCalls(straceOutput) {
+  const calls = [];
+  const unfinishedByPid = new Map();
+
+  for (const line of straceOutput.split('\n')) {
+    const parsed = parseStraceLine(line);
+    if (!parsed) continue;
+
+    if (parsed.unfinished) {
+      unfinishedByPid.set(parsed.pid, parsed);
+      continue;
+    }
+
+    if (parsed.resumed) {
+      const start = unfinishedByPid.get(parsed.pid);
+      unfinishedByPid.delete(parsed.pid);
+      if (!start || start.syscall !== parsed.syscall) continue;
+      // The resumed part continues the argument list: ", 0x7ff...) = 3" or ") = 3"
+      const call = parseStraceResult(parsed.pid, parsed.syscall, start.args + parsed.rest);
+      if (call) calls.push(call);
+      continue;
     }
+
+    calls.push(parsed);
   }
 
+  return calls;
+}
+
+/**
+ * Decode a strace sockaddr argument into "address:port" ("[address]:port" for IPv6)
+ * Returns null for other address families (Unix sockets)
+ */
+function parseStraceSocketAddress(arg) {
+  const inet = arg?.match(/sa_family=AF_INET,\s*sin_port=htons\((\d+)\),\s*sin_addr=inet_addr\("([^"]+)"\)/);
+  if (inet) return `${inet[2]}:${inet[1]}`;
+  const inet6 = arg?.match(/sa_family=AF_INET6,\s*sin6_port=htons\((\d+)\).*?inet_pton\(AF_INET6,\s*"([^"]+)"/);
+  if (inet6) return `[${inet6[2]}]:${inet6[1]}`;
+  return null;
+}
+
+/**
+ * Decode a strace array argument (["a", "b"]) into strings
+ * Returns [] for arrays strace abbreviated to an address and count (no -v)
+ */
+function parseStraceArray(arg) {
+  if (!arg?.startsWith('[')) return [];
+  return splitStraceArgs(arg.slice(1, -1)).map(unquoteStraceString).filter(v => v !== null);
+}
+
+/**
+ * Get the Nx task ID (project:target) from a process environment
+ * Nx sets NX_TASK_TARGET_PROJECT / NX_TASK_TARGET_TARGET for every task process it spawns
+ */
+function getTaskIdFromEnv(envEntries) {
+  const env = Object.fromEntries(envEntries.map(e => [e.slice(0, e.indexOf('=')), e.slice(e.indexOf('=') + 1)]));
+  if (!env.NX_TASK_TARGET_PROJECT || !env.NX_TASK_TARGET_TARGET) return null;
+  return `${env.NX_TASK_TARGET_PROJECT}:${env.NX_TASK_TARGET_TARGET}`;
+}
+
+function createAccessSets() {
   return {
-    reads: Array.from(reads).sort(),
-    writes: Array.from(writes).sort(),
+    reads: new Set(),
+    writes: new Set(),
+    probes: new Set(),
+    listings: new Set(),
+    deletes: new Set(),
+    missing: new Set(),
+    // Absolute paths read outside the workspace, and "address:port" of connect() calls
+    external: new Set(),
+    connects: new Set(),
+    // Directories of the workspace's node_modules packages files were read from
+    packages: new Set(),
+  };
+}
+
+/**
+ * Classify a sequence of syscall records into file accesses
+ * Records are { pid, syscall, args, result, errno } in strace argument layout (see STRACE_SYSCALLS);
+ * args may be the raw strace argument string or an already-split array.
+ * Returns the accesses of the whole process tree, plus `byTask` with the accesses of each
+ * Nx task's processes (accesses outside any task, e.g. Nx itself, are only in the totals
+ * and counted in `unattributed`) and `taskByPid` with the task of each of those processes.
+ */
+function analyzeSyscalls(calls) {
+  const buckets = new Map();
+  const bucketFor = (state) => {
+    const key = state.task || '';
+    if (!buckets.has(key)) buckets.set(key, createAccessSets());
+    return buckets.get(key);
+  };
+
+  const toRelative = (filePath) => {
+    if (!filePath) return null;
+    if (!isRelevantPath(filePath)) return null;
+    const relativePath = relative(CONFIG.workspaceRoot, filePath);
+    if (!relativePath || relativePath.startsWith('..')) return null;
+    return relativePath;
+  };
+
+  const recordWrite = ({ writes, deletes }, relativePath) => {
+    writes.add(relativePath);
+    deletes.delete(relativePath);
+  };
+
+  // Deleting a file this task wrote (temp files) means it was never a real output
+  const recordDelete = ({ writes, deletes }, relativePath) => {
+    if (writes.has(relativePath)) {
+      writes.delete(relativePath);
+    } else {
+      deletes.add(relativePath);
+    }
+  };
+
+  // The traced command starts in the workspace root; children are registered at fork time.
+  // Calls from a PID whose fork hasn't been seen yet are held until its parent's fork returns.
+  const processes = new Map();
+  const pendingCalls = new Map();
+  let rootPid = null;
+
+  const handleSyscall = (call) => {
+    const { pid, result, errno } = call;
+    const spec = STRACE_SYSCALLS[call.syscall];
+    const state = processes.get(pid);
+    const bucket = bucketFor(state);
+
+    const args = Array.isArray(call.args) ? call.args : splitStraceArgs(call.args);
+    const resolveArg = (pathIndex, dirfdIndex) =>
+      resolveStracePath(state, unquoteStraceString(args[pathIndex]), args[dirfdIndex]);
+    const pathArg = (pathIndex, dirfdIndex) => toRelative(resolveArg(pathIndex, dirfdIndex));
+
+    // Non-blocking connects fail with EINPROGRESS, refused ones with ECONNREFUSED: both are attempts
+    if (spec.kind === 'connect') {
+      const address = parseStraceSocketAddress(args[spec.address]);
+      if (address) bucket.connects.add(address);
+      return;
+    }
+
+    // Failed syscalls did not touch the file, but a lookup that found nothing is still
+    // a dependency: creating a file at that path later can change the task's output
+    if (errno || result === '?') {
+      if (errno !== 'ENOENT' && errno !== 'ENOTDIR') return;
+      const isLookup = spec.kind === 'probe' ||
+        (spec.kind === 'open' && !(args[spec.flags] || '').includes('O_CREAT'));
+      if (!isLookup) return;
+      const relativePath = pathArg(spec.path, spec.dirfd);
+      if (relativePath) bucket.missing.add(relativePath);
+      return;
+    }
+
+    switch (spec.kind) {
+      case 'open': {
+        const filePath = resolveArg(spec.path, spec.dirfd);
+        const flags = args[spec.flags] || '';
+        if (filePath) state.fds.set(result, filePath);
+        if (flags.includes('O_DIRECTORY')) break;
+        if (filePath && !flags.includes('O_WRONLY')) {
+          const packageDir = filePath.startsWith(CONFIG.workspaceRoot + '/') && getPackageDir(filePath);
+          if (packageDir) bucket.packages.add(packageDir);
+          else if (isExternalPath(filePath)) bucket.external.add(filePath);
+        }
+        const relativePath = toRelative(filePath);
+        if (!relativePath) break;
+        if (isWriteOpen(flags)) {
+          recordWrite(bucket, relativePath);
+        }
+        if (!flags.includes('O_WRONLY')) {
+          bucket.reads.add(relativePath);
+        }
+        break;
+      }
+      case 'write': {
+        const relativePath = pathArg(spec.path, spec.dirfd);
+        if (relativePath) recordWrite(bucket, relativePath);
+        break;
+      }
+      case 'probe': {
+        const relativePath = pathArg(spec.path, spec.dirfd);
+        if (relativePath) bucket.probes.add(relativePath);
+        break;
+      }
+      case 'list': {
+        const relativePath = toRelative(state.fds.get(args[spec.fd]));
+        if (relativePath) bucket.listings.add(relativePath);
+        break;
+      }
+      case 'delete': {
+        const relativePath = pathArg(spec.path, spec.dirfd);
+        if (relativePath) recordDelete(bucket, relativePath);
+        break;
+      }
+      case 'rename': {
+        // Writes through temp file + rename land on the destination path
+        const from = pathArg(spec.from, spec.fromDirfd);
+        const to = pathArg(spec.to, spec.toDirfd);
+        if (from) recordDelete(bucket, from);
+        if (to) recordWrite(bucket, to);
+        break;
+      }
+      case 'link': {
+        const to = pathArg(spec.to, spec.toDirfd);
+        if (to) recordWrite(bucket, to);
+        break;
+      }
+      case 'chdir': {
+        const dir = resolveArg(spec.path);
+        if (dir) state.fs.cwd = dir;
+        break;
+      }
+      case 'fchdir': {
+        const dir = state.fds.get(args[spec.fd]);
+        if (dir) state.fs.cwd = dir;
+        break;
+      }
+      case 'close': {
+        state.fds.delete(args[spec.fd]);
+        break;
+      }
+      case 'dup': {
+        // fcntl only duplicates for F_DUPFD / F_DUPFD_CLOEXEC
+        if (spec.command !== undefined && !args[spec.command]?.startsWith('F_DUPFD')) break;
+        const filePath = state.fds.get(args[spec.fd]);
+        if (filePath) state.fds.set(result, filePath);
+        else state.fds.delete(result);
+        break;
+      }
+      case 'exec': {
+        const taskId = getTaskIdFromEnv(parseStraceArray(args[spec.env]));
+        if (taskId) state.task = taskId;
+        break;
+      }
+      case 'fork': {
+        if (result === '0') break;
+        // The preload shim announces a process again when it execs: keep what it has done since
+        if (processes.get(result)?.parentPid === call.pid) break;
+        processes.set(result, forkProcessState(state, call.args, call.pid));
+        const pending = pendingCalls.get(result);
+        if (pending) {
+          pendingCalls.delete(result);
+          pending.forEach(handleSyscall);
+        }
+        break;
+      }
+    }
   };
+
+  for (const call of calls) {
+    if (!STRACE_SYSCALLS[call.syscall]) continue;
+    const { pid } = call;
+
+    if (rootPid === null) {
+      rootPid = pid;
+      processes.set(pid, createProcessState(CONFIG.workspaceRoot));
+    }
+
+    if (!processes.has(pid)) {
+      if (!pendingCalls.has(pid)) pendingCalls.set(pid, []);
+      pendingCalls.get(pid).push(call);
+      continue;
+    }
+
+    handleSyscall(call);
+  }
+
+  // Processes whose fork was never observed: best effort from the workspace root
+  for (const [pid, pending] of pendingCalls) {
+    processes.set(pid, createProcessState(CONFIG.workspaceRoot));
+    pending.forEach(handleSyscall);
+  }
+
+  const toSortedArrays = (sets) =>
+    Object.fromEntries(Object.entries(sets).map(([kind, paths]) => [kind, Array.from(paths).sort()]));
+
+  const totals = createAccessSets();
+  const byTask = {};
+  let unattributed = 0;
+  for (const [task, sets] of buckets) {
+    for (const [kind, paths] of Object.entries(sets)) {
+      paths.forEach(p => totals[kind].add(p));
+      if (!task) unattributed += paths.size;
+    }
+    if (task) byTask[task] = toSortedArrays(sets);
+  }
+  const taskByPid = new Map([...processes].filter(([, state]) => state.task).map(([pid, state]) => [pid, state.task]));
+
+  return { ...toSortedArrays(totals), byTask, unattributed, taskByPid };
+}
+
+/**
+ * Group { pid, value } entries by the task of their process: { taskId: [values] }, sorted
+ * Entries of processes outside any task are left out.
+ */
+function groupByTask(entries, taskByPid) {
+  const byTask = {};
+  for (const { pid, value } of entries) {
+    const task = taskByPid.get(pid);
+    if (!task) continue;
+    if (!byTask[task]) byTask[task] = new Set();
+    byTask[task].add(value);
+  }
+  return Object.fromEntries(Object.entries(byTask).map(([task, values]) => [task, [...values].sort()]));
+}
+
+function parseStraceOutput(straceOutput) {
+  return analyzeSyscalls(parseStraceCalls(straceOutput));
 }
 
 async function traceLinux(command, args) {
   const straceProcess = spawn('strace', [
     '-f',
-    '-e', 'trace=openat',
+    // "?" suppresses errors for syscalls this architecture doesn't have (e.g. open/stat on arm64)
+    '-e', `trace=${Object.keys(STRACE_SYSCALLS).map(s => `?${s}`).join(',')}`,
     '-o', CONFIG.straceOutputFile,
-    '-s', '0',
+    // Full execve environments (paths are never truncated, -s only limits env strings)
+    '-v',
+    '-s', '256',
     '--', command, ...args
   ], {
     cwd: CONFIG.workspaceRoot,
-    stdio: 'inherit',
-    env: process.env,
+    stdio: CONFIG.taskStdio,
+    env: { ...process.env, ...CONFIG.taskEnv },
   });
 
   console.log(`[tracer] Starting strace with PID: ${straceProcess.pid}`);
@@ -662,87 +1352,2531 @@ async function traceLinux(command, args) {
 }
 
 // ============================================================================
-// Common utilities
+// Linux: eBPF (bpftrace) tracer
 // ============================================================================
 
-function isRelevantPath(filePath) {
-  if (!filePath.startsWith(CONFIG.workspaceRoot)) return false;
-  if (CONFIG.ignoredDirs.some(dir => filePath.includes(`/${dir}/`))) return false;
-  return true;
-}
+/**
+ * Syscall tracepoints used by the eBPF backend, with the tracepoint fields to print
+ * Fields are listed in strace argument order so events can be fed through analyzeSyscalls
+ * Types: path (user string), dirfd (AT_FDCWD or fd), flags (open flags), fcntl (command), int
+ */
+const EBPF_SYSCALLS = {
+  open:       { tracepoint: 'open', fields: [['filename', 'path'], ['flags', 'flags']] },
+  openat:     { tracepoint: 'openat', fields: [['dfd', 'dirfd'], ['filename', 'path'], ['flags', 'flags']] },
+  creat:      { tracepoint: 'creat', fields: [['pathname', 'path']] },
+  stat:       { tracepoint: 'newstat', fields: [['filename', 'path']] },
+  lstat:      { tracepoint: 'newlstat', fields: [['filename', 'path']] },
+  newfstatat: { tracepoint: 'newfstatat', fields: [['dfd', 'dirfd'], ['filename', 'path']] },
+  statx:      { tracepoint: 'statx', fields: [['dfd', 'dirfd'], ['filename', 'path']] },
+  access:     { tracepoint: 'access', fields: [['filename', 'path']] },
+  faccessat:  { tracepoint: 'faccessat', fields: [['dfd', 'dirfd'], ['filename', 'path']] },
+  faccessat2: { tracepoint: 'faccessat2', fields: [['dfd', 'dirfd'], ['filename', 'path']] },
+  readlink:   { tracepoint: 'readlink', fields: [['path', 'path']] },
+  readlinkat: { tracepoint: 'readlinkat', fields: [['dfd', 'dirfd'], ['pathname', 'path']] },
+  getdents64: { tracepoint: 'getdents64', fields: [['fd', 'int']] },
+  mkdir:      { tracepoint: 'mkdir', fields: [['pathname', 'path']] },
+  mkdirat:    { tracepoint: 'mkdirat', fields: [['dfd', 'dirfd'], ['pathname', 'path']] },
+  unlink:     { tracepoint: 'unlink', fields: [['pathname', 'path']] },
+  unlinkat:   { tracepoint: 'unlinkat', fields: [['dfd', 'dirfd'], ['pathname', 'path']] },
+  rmdir:      { tracepoint: 'rmdir', fields: [['pathname', 'path']] },
+  rename:     { tracepoint: 'rename', fields: [['oldname', 'path'], ['newname', 'path']] },
+  renameat:   { tracepoint: 'renameat', fields: [['olddfd', 'dirfd'], ['oldname', 'path'], ['newdfd', 'dirfd'], ['newname', 'path']] },
+  renameat2:  { tracepoint: 'renameat2', fields: [['olddfd', 'dirfd'], ['oldname', 'path'], ['newdfd', 'dirfd'], ['newname', 'path']] },
+  link:       { tracepoint: 'link', fields: [['oldname', 'path'], ['newname', 'path']] },
+  linkat:     { tracepoint: 'linkat', fields: [['olddfd', 'dirfd'], ['oldname', 'path'], ['newdfd', 'dirfd'], ['newname', 'path']] },
+  symlink:    { tracepoint: 'symlink', fields: [['oldname', 'path'], ['newname', 'path']] },
+  symlinkat:  { tracepoint: 'symlinkat', fields: [['oldname', 'path'], ['newdfd', 'dirfd'], ['newname', 'path']] },
+  chdir:      { tracepoint: 'chdir', fields: [['filename', 'path']] },
+  fchdir:     { tracepoint: 'fchdir', fields: [['fd', 'int']] },
+  close:      { tracepoint: 'close', fields: [['fd', 'int']] },
+  dup:        { tracepoint: 'dup', fields: [['fildes', 'int']] },
+  dup2:       { tracepoint: 'dup2', fields: [['oldfd', 'int']] },
+  dup3:       { tracepoint: 'dup3', fields: [['oldfd', 'int']] },
+  fcntl:      { tracepoint: 'fcntl', fields: [['fd', 'int'], ['cmd', 'fcntl']] },
+};
+
+// O_DIRECTORY differs between x86 and arm64
+const OPEN_FLAGS = {
+  O_CREAT: 0o100,
+  O_TRUNC: 0o1000,
+  O_DIRECTORY: process.arch === 'arm64' ? 0o40000 : 0o200000,
+};
+
+const ERRNO_NAMES = { 2: 'ENOENT', 20: 'ENOTDIR' };
 
 /**
- * Check if a path is a directory (not a file)
+ * Decode numeric open flags into the strace-style names analyzeSyscalls checks
  */
-function isDirectory(filePath) {
-  const absolutePath = filePath.startsWith('/')
-    ? filePath
-    : join(CONFIG.workspaceRoot, filePath);
-  try {
-    return statSync(absolutePath).isDirectory();
-  } catch {
-    return false;
+function formatOpenFlags(value) {
+  const flags = [['O_RDONLY', 'O_WRONLY', 'O_RDWR', 'O_RDWR'][value & 3]];
+  for (const [name, bit] of Object.entries(OPEN_FLAGS)) {
+    if (value & bit) flags.push(name);
   }
+  return flags.join('|');
 }
 
-// ============================================================================
+function quoteStraceString(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function formatEbpfField(type, value) {
+  switch (type) {
+    case 'path': return quoteStraceString(value);
+    case 'dirfd': return value === '-100' ? 'AT_FDCWD' : value;
+    case 'flags': return formatOpenFlags(Number(value));
+    case 'fcntl': return { 0: 'F_DUPFD', 1030: 'F_DUPFD_CLOEXEC' }[value] || value;
+    default: return value;
+  }
+}
+
+/**
+ * List the syscall tracepoints this kernel provides (open/stat don't exist on arm64)
+ */
+function getAvailableTracepoints() {
+  try {
+    const output = execSync(`bpftrace -l 'tracepoint:syscalls:sys_enter_*'`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
+    return new Set(output.split('\n').map(l => l.replace('tracepoint:syscalls:sys_enter_', '').trim()).filter(Boolean));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the bpftrace program
+ * Only descendants of the root PID ($1) are traced; each syscall prints an enter (E) line
+ * with its arguments and an exit (X) line with its return value, joined by thread ID later.
+ * Events are keyed by process (tgid) since threads share cwd and the fd table.
+ * Forks print F lines and execs print P lines (the tracer reads the new environment live).
+ */
+function buildBpftraceScript(available) {
+  const syscalls = Object.entries(EBPF_SYSCALLS)
+    .filter(([, { tracepoint }]) => !available || available.has(tracepoint));
+
+  const lines = [
+    'BEGIN { @traced[$1] = 1; printf("READY\\n"); }',
+    'tracepoint:sched:sched_process_fork /@traced[pid]/ { @traced[args->child_pid] = 1; printf("F\\t%d\\t%d\\n", pid, args->child_pid); }',
+    'tracepoint:sched:sched_process_exec /@traced[pid]/ { printf("P\\t%d\\n", pid); }',
+    'tracepoint:sched:sched_process_exit /@traced[pid] && pid == tid/ { delete(@traced[pid]); }',
+  ];
+
+  for (const [syscall, { tracepoint, fields }] of syscalls) {
+    const formats = fields.map(([, type]) => (type === 'path' ? '%s' : '%d')).join('\\t');
+    const values = fields.map(([name, type]) => (type === 'path' ? `str(args->${name})` : `args->${name}`)).join(', ');
+    lines.push(`tracepoint:syscalls:sys_enter_${tracepoint} /@traced[pid]/ { printf("E\\t%d\\t%d\\t${syscall}\\t${formats}\\n", tid, pid, ${values}); }`);
+  }
+
+  const exits = syscalls.map(([, { tracepoint }]) => `tracepoint:syscalls:sys_exit_${tracepoint}`).join(',\n');
+  lines.push(`${exits} /@traced[pid]/ { printf("X\\t%d\\t%d\\n", tid, args->ret); }`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert bpftrace output into syscall records in strace argument layout
+ * execEnvs holds the Nx task environment captured for each exec (P line), in order per PID.
+ * Syscalls with a path that filled the whole string buffer were truncated and are dropped.
+ * Returns { calls, truncated } (truncated: the truncated path prefixes as { pid, value }).
+ */
+function parseEbpfOutput(ebpfOutput, execEnvs = new Map()) {
+  const calls = [];
+  const truncated = [];
+  const enteredByTid = new Map();
+
+  for (const line of ebpfOutput.split('\n')) {
+    const [type, ...fields] = line.split('\t');
+
+    if (type === 'P') {
+      const [pid] = fields;
+      const env = execEnvs.get(pid)?.shift() || [];
+      calls.push({ pid, syscall: 'execve', args: ['""', '[]', `[${env.map(quoteStraceString).join(', ')}]`], result: '0', errno: null });
+    } else if (type === 'F') {
+      const [pid, child] = fields;
+      calls.push({ pid, syscall: 'fork', args: [], result: child, errno: null });
+    } else if (type === 'E') {
+      const [tid, pid, syscall, ...values] = fields;
+      const spec = EBPF_SYSCALLS[syscall];
+      if (!spec) continue;
+      const truncatedValues = values.filter((value, i) => spec.fields[i]?.[1] === 'path' && value.length >= CONFIG.ebpfStrlen - 1);
+      if (truncatedValues.length > 0) {
+        truncatedValues.forEach(value => truncated.push({ pid, value }));
+        // The exit line then has no entry to pair with
+        enteredByTid.delete(tid);
+        continue;
+      }
+      const args = spec.fields.map(([, fieldType], i) => formatEbpfField(fieldType, values[i] ?? ''));
+      enteredByTid.set(tid, { pid, syscall, args });
+    } else if (type === 'X') {
+      const [tid, ret] = fields;
+      const entered = enteredByTid.get(tid);
+      enteredByTid.delete(tid);
+      if (!entered) continue;
+      const code = Number(ret);
+      calls.push({
+        ...entered,
+        result: code < 0 ? '-1' : ret,
+        errno: code < 0 ? (ERRNO_NAMES[-code] || `E${-code}`) : null,
+      });
+    }
+  }
+
+  return { calls, truncated };
+}
+
+/**
+ * Wait until a process has stopped itself (SIGSTOP) so tracing can attach before it runs
+ */
+async function waitForStopped(pid) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      const stat = readFileSync(`/proc/${pid}/stat`, 'utf-8');
+      if (stat.slice(stat.lastIndexOf(')') + 2).startsWith('T')) return;
+    } catch {
+      return;
+    }
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+async function traceEbpf(command, args) {
+  if (!checkSudo()) {
+    console.error('Error: the eBPF backend requires root privileges (bpftrace).');
+    console.error('Run inside the tracer container, or use --tracer-backend=strace.');
+    process.exit(EXIT_CODES.tracerError);
+  }
+
+  // Start the target stopped so bpftrace can attach and filter on its PID before it does any I/O
+  const targetProcess = spawn('sh', ['-c', 'kill -STOP $$; exec "$@"', 'sh', command, ...args], {
+    cwd: CONFIG.workspaceRoot,
+    stdio: CONFIG.taskStdio,
+    env: { ...process.env, ...CONFIG.taskEnv },
+  });
+  const pid = targetProcess.pid;
+  const exitPromise = new Promise((resolve, reject) => {
+    targetProcess.on('close', (code) => resolve(code));
+    targetProcess.on('error', (err) => reject(err));
+  });
+  await waitForStopped(pid);
+
+  const outputStream = createWriteStream(CONFIG.ebpfOutputFile);
+  const script = buildBpftraceScript(getAvailableTracepoints());
+  const bpftraceProcess = spawn('bpftrace', ['-e', script, String(pid)], {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      BPFTRACE_STRLEN: String(CONFIG.ebpfStrlen),
+      // Larger per-CPU buffers reduce lost events on busy builds
+      BPFTRACE_PERF_RB_PAGES: '4096',
+    },
+  });
+
+  let bpftraceErrors = '';
+  bpftraceProcess.stderr.on('data', (data) => { bpftraceErrors += data; });
+
+  // Read the environment of each exec'd process while it is still running, for task attribution
+  const execEnvs = new Map();
+  let partialLine = '';
+  bpftraceProcess.stdout.on('data', (data) => {
+    const lines = (partialLine + data).split('\n');
+    partialLine = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('P\t')) continue;
+      const pid = line.slice(2);
+      let env = [];
+      try {
+        env = readFileSync(`/proc/${pid}/environ`, 'utf-8').split('\0').filter(e => e.startsWith('NX_TASK_TARGET_'));
+      } catch {}
+      if (!execEnvs.has(pid)) execEnvs.set(pid, []);
+      execEnvs.get(pid).push(env);
+    }
+  });
+
+  // Wait for probes to attach (BEGIN prints READY) before letting the target run
+  try {
+    await new Promise((resolve, reject) => {
+      bpftraceProcess.stdout.on('data', function onData(data) {
+        outputStream.write(data);
+        if (data.toString().includes('READY')) {
+          bpftraceProcess.stdout.off('data', onData);
+          bpftraceProcess.stdout.pipe(outputStream);
+          resolve();
+        }
+      });
+      bpftraceProcess.on('error', reject);
+      bpftraceProcess.on('close', () => reject(new Error(`bpftrace exited before attaching: ${bpftraceErrors.trim()}`)));
+    });
+  } catch (err) {
+    // The target is still stopped: don't leave it behind
+    process.kill(pid, 'SIGKILL');
+    outputStream.end();
+    throw err;
+  }
+
+  console.log(`[tracer] Target process PID: ${pid}`);
+  console.log(`[tracer] bpftrace tracing descendants of PID ${pid}`);
+  process.kill(pid, 'SIGCONT');
+
+  const exitCode = await exitPromise;
+
+  // Give bpftrace a moment to flush final events
+  await new Promise(r => setTimeout(r, 500));
+  bpftraceProcess.kill('SIGINT');
+  await new Promise((resolve) => {
+    bpftraceProcess.on('close', () => resolve());
+    setTimeout(resolve, 5000);
+  });
+
+  outputStream.end();
+  await new Promise(r => outputStream.on('close', r));
+
+  const lost = bpftraceErrors.match(/Lost (\d+) events/);
+  if (lost) {
+    console.error(`[tracer] Warning: bpftrace lost ${lost[1]} events; results may be incomplete`);
+  }
+
+  let ebpfOutput = '';
+  try {
+    ebpfOutput = readFileSync(CONFIG.ebpfOutputFile, 'utf-8');
+    unlinkSync(CONFIG.ebpfOutputFile);
+  } catch (err) {
+    console.error(`[tracer] Failed to read bpftrace output: ${err.message}`);
+  }
+
+  const { calls, truncated } = parseEbpfOutput(ebpfOutput, execEnvs);
+  const truncatedPaths = [...new Set(truncated.map(t => t.value))].sort();
+  if (truncatedPaths.length > 0) {
+    console.error(`[tracer] Warning: ${truncatedPaths.length} path(s) were longer than bpftrace's ${CONFIG.ebpfStrlen - 1} characters; their accesses are not analyzed`);
+  }
+  const analysis = analyzeSyscalls(calls);
+  return { exitCode, ...analysis, truncatedPaths, truncatedPathsByTask: groupByTask(truncated, analysis.taskByPid) };
+}
+
+// ============================================================================
+// Linux: LD_PRELOAD tracer (unprivileged)
+// ============================================================================
+
+/**
+ * Build the LD_PRELOAD shim from io-tracer-preload.c (cached until the source changes)
+ */
+function buildPreloadLibrary() {
+  const source = join(__dirname, 'io-tracer-preload.c');
+  let library = CONFIG.preloadLibrary;
+  if (isOwnFile(library) && statSync(library).mtimeMs >= statSync(source).mtimeMs) {
+    return library;
+  }
+  // A read-only tracer directory gets a private directory for this run instead
+  try {
+    accessSync(dirname(library), fsConstants.W_OK);
+  } catch {
+    const dir = mkdtempSync(join(tmpdir(), 'nx-tracer-preload-'));
+    process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+    library = join(dir, basename(library));
+    CONFIG.preloadLibrary = library;
+  }
+  console.log('[tracer] Compiling LD_PRELOAD shim...');
+  // Compile next to the library and rename: concurrent tracer runs share it
+  const building = `${library}.${process.pid}`;
+  execSync(`cc -shared -fPIC -O2 -o "${building}" "${source}" -ldl`, { stdio: ['pipe', 'pipe', 'pipe'] });
+  chmodSync(building, 0o755);
+  renameSync(building, library);
+  return library;
+}
+
+/**
+ * Check that a file exists, is a regular file (not a symlink), belongs to the current user and
+ * is not writable by group or others, so nobody else can have replaced it
+ */
+function isOwnFile(file) {
+  try {
+    const stats = lstatSync(file);
+    return stats.isFile() && stats.uid === process.getuid() && (stats.mode & 0o022) === 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a program name the way execvp does
+ */
+function resolveExecutable(file) {
+  if (file.includes('/')) return resolve(CONFIG.workspaceRoot, file);
+  for (const dir of (process.env.PATH || '').split(':')) {
+    const candidate = join(dir || '.', file);
+    if (existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Check if an ELF executable is statically linked (no PT_INTERP program header)
+ * Static binaries never load the shim, so their I/O is invisible to this backend
+ */
+function isStaticBinary(filePath) {
+  try {
+    const data = readFileSync(filePath);
+    // Only 64-bit little-endian ELF; scripts (#!) run an interpreter that loads the shim
+    if (data.readUInt32BE(0) !== 0x7f454c46 || data[4] !== 2 || data[5] !== 1) return false;
+    const phoff = Number(data.readBigUInt64LE(0x20));
+    const phentsize = data.readUInt16LE(0x36);
+    const phnum = data.readUInt16LE(0x38);
+    for (let i = 0; i < phnum; i++) {
+      if (data.readUInt32LE(phoff + i * phentsize) === 3) return false; // PT_INTERP
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function traceLdPreload(command, args) {
+  let library;
+  try {
+    library = buildPreloadLibrary();
+  } catch (err) {
+    console.error(`Error: Failed to compile the LD_PRELOAD shim (is a C compiler installed?): ${err.message}`);
+    process.exit(EXIT_CODES.tracerError);
+  }
+
+  try {
+    unlinkSync(CONFIG.preloadOutputFile);
+  } catch {}
+
+  // --tracer-env may already preload the same shim
+  const env = { ...process.env, ...CONFIG.taskEnv };
+  const targetProcess = spawn(command, args, {
+    cwd: CONFIG.workspaceRoot,
+    stdio: CONFIG.taskStdio,
+    env: {
+      ...env,
+      LD_PRELOAD: [...new Set([library, ...(env.LD_PRELOAD || '').split(':')])].filter(Boolean).join(':'),
+      IO_TRACER_LOG: CONFIG.preloadOutputFile,
+    },
+  });
+
+  console.log(`[tracer] Target process PID: ${targetProcess.pid}`);
+  console.log(`[tracer] LD_PRELOAD shim logging libc file calls`);
+
+  const exitCode = await new Promise((resolve, reject) => {
+    targetProcess.on('close', (code) => resolve(code));
+    targetProcess.on('error', (err) => reject(err));
+  });
+
+  let preloadOutput = '';
+  try {
+    preloadOutput = readFileSync(CONFIG.preloadOutputFile, 'utf-8');
+    unlinkSync(CONFIG.preloadOutputFile);
+  } catch (err) {
+    console.error(`[tracer] Failed to read LD_PRELOAD log: ${err.message}`);
+  }
+
+  const calls = parseStraceCalls(preloadOutput);
+
+  // Programs that were exec'd but can't have been traced
+  const staticBinaries = [];
+  for (const call of calls) {
+    if (call.syscall !== 'execve') continue;
+    const executable = resolveExecutable(unquoteStraceString(call.args) || '');
+    if (executable && isStaticBinary(executable)) staticBinaries.push({ pid: call.pid, value: executable });
+  }
+
+  const analysis = analyzeSyscalls(calls);
+  return {
+    exitCode,
+    ...analysis,
+    untracedPrograms: [...new Set(staticBinaries.map(b => b.value))].sort(),
+    untracedProgramsByTask: groupByTask(staticBinaries, analysis.taskByPid),
+  };
+}
+
+// ============================================================================
+// Package analysis (node_modules reads)
+// ============================================================================
+
+const NODE_MODULES = '/node_modules/';
+
+/**
+ * Directory of the package a node_modules file belongs to (scoped names included)
+ * Works for hoisted (node_modules/<name>) and pnpm (node_modules/.pnpm/<name>@<version>/node_modules/<name>)
+ * layouts. Returns null outside a package (.bin, .pnpm metadata, .modules.yaml).
+ */
+function getPackageDir(filePath) {
+  const index = filePath.lastIndexOf(NODE_MODULES);
+  if (index === -1) return null;
+  const segments = filePath.slice(index + NODE_MODULES.length).split('/');
+  const nameLength = segments[0].startsWith('@') ? 2 : 1;
+  if (segments[0].startsWith('.') || segments.length <= nameLength) return null;
+  return filePath.slice(0, index + NODE_MODULES.length) + segments.slice(0, nameLength).join('/');
+}
+
+const packageManifestCache = new Map();
+
+function readPackageManifest(dir) {
+  if (!packageManifestCache.has(dir)) {
+    try {
+      packageManifestCache.set(dir, JSON.parse(readFileSync(join(dir, 'package.json'), 'utf-8')));
+    } catch {
+      packageManifestCache.set(dir, null);
+    }
+  }
+  return packageManifestCache.get(dir);
+}
+
+/**
+ * Name and version of the package installed at `dir`, from its package.json or else its path
+ */
+function getPackageInfo(dir) {
+  const manifest = readPackageManifest(dir);
+  return {
+    name: manifest?.name || dir.slice(dir.lastIndexOf(NODE_MODULES) + NODE_MODULES.length),
+    version: manifest?.version || dir.match(/\/\.pnpm\/(?:@[^+/]+\+)?[^@/]+@([^/_(]+)/)?.[1] || null,
+  };
+}
+
+/**
+ * Names of the packages in the dependency tree of `roots`, by name (any installed version)
+ * Manifests are looked up in `dirsByName` (locations seen in the trace), then in the
+ * workspace's top-level and pnpm-hoisted node_modules.
+ */
+function getDependencyClosure(roots, dirsByName) {
+  const closure = new Set();
+  const queue = [...roots];
+  while (queue.length > 0) {
+    const name = queue.pop();
+    if (closure.has(name)) continue;
+    closure.add(name);
+
+    const dirs = [
+      ...(dirsByName.get(name) || []),
+      join(CONFIG.workspaceRoot, 'node_modules', name),
+      join(CONFIG.workspaceRoot, 'node_modules/.pnpm/node_modules', name),
+    ];
+    for (const manifest of dirs.map(readPackageManifest).filter(Boolean)) {
+      for (const field of ['dependencies', 'optionalDependencies', 'peerDependencies']) {
+        queue.push(...Object.keys(manifest[field] || {}));
+      }
+    }
+  }
+  return closure;
+}
+
+/**
+ * Packages a task declares through package.json: the workspace root's and the project's own
+ */
+function getDeclaredPackages(config) {
+  const fields = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+  const manifests = [readWorkspaceJson('package.json')];
+  if (config.root && config.root !== '.') manifests.push(readWorkspaceJson(join(config.root, 'package.json')));
+  return manifests.filter(Boolean).flatMap(m => fields.flatMap(field => Object.keys(m[field] || {})));
+}
+
+/**
+ * Map a task's node_modules reads to packages and check them against its declarations
+ * - phantomDependencies: packages outside the dependency tree of package.json (they only
+ *   resolve because a package manager hoisted them)
+ * - undeclaredExternalDependencies: packages Nx does not hash for the task: outside the
+ *   dependency tree of the `externalDependencies` input and the executor's package. Without
+ *   that input, nx:run-commands and other nx executors hash every external dependency.
+ * Each package is reported once, phantom first.
+ */
+function analyzePackageReads(taskId, config, accesses) {
+  const dirs = accesses.packages || [];
+  if (!config || dirs.length === 0) {
+    return { packages: [], phantomDependencies: [], undeclaredExternalDependencies: [] };
+  }
+
+  const dirsByName = new Map();
+  const packages = new Map();
+  for (const dir of dirs) {
+    const { name, version } = getPackageInfo(dir);
+    dirsByName.set(name, [...(dirsByName.get(name) || []), dir]);
+    packages.set(`${name}@${version}`, { name, version });
+  }
+  const read = [...packages.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  const declared = getDependencyClosure(getDeclaredPackages(config), dirsByName);
+  const phantomDependencies = read.filter(p => !declared.has(p.name)).map(p => ({ taskId, ...p }));
+
+  const { externalDependencies } = expandInputs(config.inputs);
+  const executorPackage = config.target?.executor?.split(':')[0] || 'nx';
+  const hashedRoots = externalDependencies.length > 0 ? [...externalDependencies, executorPackage]
+    : executorPackage !== 'nx' ? [executorPackage]
+    : null;
+  const hashed = hashedRoots && getDependencyClosure([...hashedRoots, 'nx'], dirsByName);
+  const undeclaredExternalDependencies = hashed
+    ? read.filter(p => declared.has(p.name) && !hashed.has(p.name))
+      .map(p => ({ taskId, ...p, hashedBy: externalDependencies.length > 0 ? 'externalDependencies' : 'executor' }))
+    : [];
+
+  return { packages: read, phantomDependencies, undeclaredExternalDependencies };
+}
+
+// ============================================================================
+// Environment variable tracing (--tracer-env)
+// ============================================================================
+
+/**
+ * Extra environment for the traced command that loads the env hooks
+ * Node processes load io-tracer-env-hook.cjs; on Linux every dynamically linked program also
+ * loads the LD_PRELOAD shim, which only logs getenv calls unless the preload backend turns on
+ * its file logging.
+ */
+function prepareEnvTracing(currentPlatform) {
+  try {
+    unlinkSync(CONFIG.envLogFile);
+  } catch {}
+
+  const hook = join(__dirname, 'io-tracer-env-hook.cjs');
+  const env = {
+    IO_TRACER_ENV_LOG: CONFIG.envLogFile,
+    NODE_OPTIONS: [process.env.NODE_OPTIONS, `--require "${hook}"`].filter(Boolean).join(' '),
+  };
+  if (currentPlatform === 'linux') {
+    try {
+      env.LD_PRELOAD = [buildPreloadLibrary(), process.env.LD_PRELOAD].filter(Boolean).join(':');
+    } catch (err) {
+      console.log(`[tracer] Could not compile the LD_PRELOAD shim, tracing env reads of Node processes only: ${err.message}`);
+    }
+  }
+  return env;
+}
+
+/**
+ * Read the env log written by the hooks: { byTask: { taskId: [names] }, unattributed }
+ * Reads by processes outside any task (Nx orchestration) are only counted.
+ */
+function readEnvLog() {
+  let envOutput = '';
+  try {
+    envOutput = readFileSync(CONFIG.envLogFile, 'utf-8');
+    unlinkSync(CONFIG.envLogFile);
+  } catch {}
+
+  const byTask = {};
+  const unattributed = new Set();
+  for (const line of envOutput.split('\n')) {
+    const [, taskId, name] = line.split('\t');
+    if (!name) continue;
+    if (!taskId) {
+      unattributed.add(name);
+      continue;
+    }
+    if (!byTask[taskId]) byTask[taskId] = new Set();
+    byTask[taskId].add(name);
+  }
+
+  return {
+    byTask: Object.fromEntries(Object.entries(byTask).map(([taskId, names]) => [taskId, [...names].sort()])),
+    unattributed: unattributed.size,
+  };
+}
+
+function isAllowlistedEnv(name) {
+  return CONFIG.envAllowlist.some(entry => (entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry));
+}
+
+/**
+ * Compare the env variables a task read against the `{ "env": ... }` inputs of its configs
+ * Allowlisted variables are dropped unless declared. Unset variables count too: setting one
+ * later changes the output without changing the hash.
+ * Returns { envReads: [{ name, declared }], undeclaredEnvReads: [{ taskId, name }] }, with
+ * envReads null when env reads were not traced.
+ */
+function analyzeEnvReads(taskId, configs, names) {
+  if (!names) return { envReads: null, undeclaredEnvReads: [] };
+
+  const declared = new Set(configs.flatMap(c => expandInputs(c.inputs).env));
+  const envReads = names
+    .filter(name => declared.has(name) || !isAllowlistedEnv(name))
+    .map(name => ({ name, declared: declared.has(name) }));
+
+  return {
+    envReads,
+    undeclaredEnvReads: envReads.filter(r => !r.declared).map(({ name }) => ({ taskId, name })),
+  };
+}
+
+// ============================================================================
+// Common utilities
+// ============================================================================
+
+function isRelevantPath(filePath) {
+  if (!filePath.startsWith(CONFIG.workspaceRoot)) return false;
+  if (CONFIG.tracer.ignoredDirs.some(dir => filePath.includes(`/${dir}/`))) return false;
+  return true;
+}
+
+/**
+ * Check if an absolute path read by a task is outside the workspace and not a package,
+ * pseudo-filesystem or temp file (see CONFIG.externalIgnoredPrefixes)
+ */
+function isExternalPath(filePath) {
+  if (filePath === CONFIG.workspaceRoot || filePath.startsWith(CONFIG.workspaceRoot + '/')) return false;
+  if (filePath.includes('/node_modules/')) return false;
+  return !CONFIG.externalIgnoredPrefixes.some(prefix => filePath.startsWith(prefix));
+}
+
+/**
+ * Check if a path is a directory (not a file)
+ */
+function isDirectory(filePath) {
+  const absolutePath = filePath.startsWith('/')
+    ? filePath
+    : join(CONFIG.workspaceRoot, filePath);
+  try {
+    return statSync(absolutePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// Auto-fix (--tracer-fix)
+// ============================================================================
+
+/**
+ * Generalize files into a minimal list of inputs or outputs relative to `base`
+ * Files are grouped by top-level directory (and extension, for inputs). A lone file stays
+ * an exact path; a group becomes a glob (inputs) or its common directory (outputs).
+ */
+function generalizePaths(paths, base, token, kind) {
+  const relativeTo = (p) => (base && base !== '.' ? p.slice(base.length + 1) : p);
+  const groups = new Map();
+  for (const path of paths) {
+    const rel = relativeTo(path);
+    const topDir = rel.includes('/') ? rel.split('/')[0] : '.';
+    const ext = kind === 'inputs' ? extname(rel) : '';
+    const key = `${topDir}\0${ext}`;
+    if (!groups.has(key)) groups.set(key, { ext, files: [] });
+    groups.get(key).files.push(rel);
+  }
+
+  const result = new Set();
+  for (const { ext, files } of groups.values()) {
+    const dirs = files.map(f => dirname(f));
+    let common = dirs[0].split('/');
+    for (const dir of dirs) {
+      const parts = dir.split('/');
+      let k = 0;
+      while (k < common.length && common[k] === parts[k]) k++;
+      common = common.slice(0, k);
+    }
+    const commonDir = common.join('/');
+    const prefix = commonDir && commonDir !== '.' ? `${token}/${commonDir}` : token;
+
+    if (files.length === 1 || (kind === 'inputs' && !ext) || (kind === 'outputs' && prefix === token)) {
+      files.forEach(f => result.add(`${token}/${f}`));
+    } else if (kind === 'outputs') {
+      result.add(prefix);
+    } else {
+      result.add(dirs.every(d => d === dirs[0]) ? `${prefix}/*${ext}` : `${prefix}/**/*${ext}`);
+    }
+  }
+  return [...result];
+}
+
+/**
+ * Named inputs reachable from a task's inputs (not through ^ dependency inputs), in order of use
+ */
+function getReachableNamedInputs(inputs, namedInputs, seen = new Set()) {
+  for (const input of inputs) {
+    if (typeof input === 'string' && namedInputs[input] && !seen.has(input)) {
+      seen.add(input);
+      getReachableNamedInputs(namedInputs[input], namedInputs, seen);
+    }
+  }
+  return seen;
+}
+
+/**
+ * The inputs or outputs a task has today as written in the config ({options.*} and other
+ * tokens kept), to seed a new array with: the project.json, package.json or targetDefaults
+ * array that declares them, else the resolved config (inferred targets), else Nx's default inputs
+ */
+function getDeclaredTaskArray(config, key) {
+  const { file, path, declared } = findTaskConfigSource(config, key);
+  if (declared) {
+    const value = path.reduce((node, name) => node?.[name], readWorkspaceJson(file));
+    if (Array.isArray(value)) return value;
+  }
+  if (config.target?.[key]?.length > 0) return config.target[key];
+  return key === 'inputs' ? ['default', '^default'] : [];
+}
+
+/**
+ * Turn each task's undeclared reads, writes and cross-project reads into config edits
+ * - project files: the target's inputs/outputs in project.json (or package.json), as minimal
+ *   {projectRoot} globs. An item that two or more traced tasks inheriting the same nx.json
+ *   targetDefaults array all need goes into that array instead (unless a task needs more
+ *   items than that, and gets them all in its project file).
+ * - workspace-level files: a named input the task already uses (sharedGlobals if it can)
+ * - cross-project reads: the ^ form of the named input that covers the file in its project
+ * Returns [{ file, path, items, initial, taskIds }], one per config array to extend.
+ */
+function planConfigFixes(taskResults) {
+  const namedInputs = getNamedInputs();
+  // Inputs and outputs edits per task, placed once every task is planned:
+  // [{ taskId, source, defaults, items, initial }]
+  const taskEdits = [];
+  const edits = new Map();
+  const addEdit = ({ file, path }, items, initial, taskId) => {
+    if (items.length === 0) return;
+    const key = `${file}\0${path.join('\0')}`;
+    if (!edits.has(key)) edits.set(key, { file, path, items: [], initial, taskIds: [] });
+    const edit = edits.get(key);
+    items.forEach(item => !edit.items.includes(item) && edit.items.push(item));
+    if (!edit.taskIds.includes(taskId)) edit.taskIds.push(taskId);
+  };
+
+  for (const result of taskResults) {
+    const { config, taskId } = result;
+    if (!config) continue;
+    const root = config.root;
+    const inProject = (p) => !root || root === '.' || p.startsWith(root + '/');
+
+    // A new inputs array replaces what the target gets today (targetDefaults, inferred or Nx's default)
+    const currentInputs = getDeclaredTaskArray(config, 'inputs');
+    const inputEdit = { taskId, key: 'inputs', items: [], initial: currentInputs };
+    const outputEdit = { taskId, key: 'outputs', items: [], initial: getDeclaredTaskArray(config, 'outputs') };
+    for (const edit of [inputEdit, outputEdit]) {
+      edit.source = findTaskConfigSource(config, edit.key, { projectOnly: true });
+      const declaredBy = findTaskConfigSource(config, edit.key);
+      edit.defaults = declaredBy.file === 'nx.json' ? declaredBy : null;
+      taskEdits.push(edit);
+    }
+
+    const reads = result.undeclaredReads.map(f => f.path);
+    inputEdit.items.push(...generalizePaths(reads.filter(inProject), root, '{projectRoot}', 'inputs'));
+
+    const workspaceReads = reads.filter(p => !inProject(p));
+    if (workspaceReads.length > 0) {
+      const globs = generalizePaths(workspaceReads, '', '{workspaceRoot}', 'inputs');
+      const reachable = [...getReachableNamedInputs(currentInputs, namedInputs)];
+      const namedInput = reachable.includes('sharedGlobals') ? 'sharedGlobals' : reachable[0];
+      if (namedInput) {
+        addEdit({ file: 'nx.json', path: ['namedInputs', namedInput] }, globs, [], taskId);
+      } else {
+        inputEdit.items.push(...globs);
+      }
+    }
+
+    const usedNamedInputs = currentInputs.filter(i => typeof i === 'string' && namedInputs[i]);
+    const dependencyInputs = result.crossProjectReads.map(({ path, project }) => {
+      const namedInput = usedNamedInputs.find(name => matchesPatterns(path, [name], project));
+      return namedInput ? `^${namedInput}` : '^{projectRoot}/**/*';
+    });
+    // A ^ input the task already has can't help (e.g. no graph dependency); verification reports those
+    inputEdit.items.push(...new Set(dependencyInputs.filter(i => !currentInputs.includes(i))));
+
+    const writes = result.undeclaredWrites.map(f => f.path);
+    outputEdit.items.push(
+      ...generalizePaths(writes.filter(inProject), root, '{projectRoot}', 'outputs'),
+      ...generalizePaths(writes.filter(p => !inProject(p)), '', '{workspaceRoot}', 'outputs'),
+    );
+  }
+
+  // Items every traced task of a targetDefaults array needs (two or more tasks) go into it
+  const byDefaults = new Map();
+  for (const edit of taskEdits.filter(e => e.defaults)) {
+    const key = edit.defaults.path.join('\0');
+    if (!byDefaults.has(key)) byDefaults.set(key, []);
+    byDefaults.get(key).push(edit);
+  }
+  for (const group of byDefaults.values()) {
+    if (group.length < 2) continue;
+    const shared = group[0].items.filter(item => group.every(e => e.items.includes(item)));
+    group.forEach(edit => addEdit(group[0].defaults, shared, [], edit.taskId));
+    // A task that needs more gets a project array, which replaces targetDefaults: keep the shared items in it
+    group.filter(edit => edit.items.every(item => shared.includes(item))).forEach(edit => { edit.items = []; });
+  }
+
+  for (const { source, items, initial, taskId } of taskEdits) {
+    addEdit(source, items, initial, taskId);
+  }
+  return [...edits.values()];
+}
+
+/**
+ * Check with HashPlanInspector (inputs) and the updated project config (outputs) that the
+ * config on disk now covers every file the tasks were missing
+ * Returns the files still not covered, and whether every task could be checked.
+ */
+function verifyConfigFixes(taskResults) {
+  _namedInputsCache = null;
+  const uncovered = [];
+  let verified = true;
+
+  for (const result of taskResults) {
+    const separator = result.taskId.indexOf(':');
+    const project = result.taskId.slice(0, separator);
+    const target = result.taskId.slice(separator + 1);
+
+    const reads = [...result.undeclaredReads, ...result.crossProjectReads].map(f => f.path);
+    if (reads.length > 0) {
+      const resolvedInputs = getResolvedInputs(project, target);
+      if (resolvedInputs) {
+        reads.filter(p => !resolvedInputs.has(p)).forEach(path => uncovered.push({ taskId: result.taskId, path, kind: 'input' }));
+      } else {
+        verified = false;
+      }
+    }
+
+    const writes = result.undeclaredWrites.map(f => f.path);
+    if (writes.length > 0) {
+      try {
+        const config = getNxProjectConfig(project, target);
+        writes.filter(p => !findMatchingOutputTask(p, [config])).forEach(path => uncovered.push({ taskId: result.taskId, path, kind: 'output' }));
+      } catch (err) {
+        console.log(`[tracer] Could not re-read ${result.taskId} config: ${err.message}`);
+        verified = false;
+      }
+    }
+  }
+
+  return { uncovered, verified };
+}
+
+/**
+ * Plan, apply and verify config edits for the findings, printing a unified diff
+ * With dryRun the edits are only written while HashPlanInspector verifies them, then reverted
+ * (on SIGINT/SIGTERM too).
+ */
+function runConfigFixes(taskResults, { dryRun }) {
+  const edits = planConfigFixes(taskResults);
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(dryRun ? 'PROPOSED FIXES (dry run)' : 'FIXES');
+  console.log('='.repeat(60));
+  if (edits.length === 0) {
+    console.log('');
+    console.log('Nothing to fix');
+    return { dryRun, files: [], uncovered: [], verified: true };
+  }
+
+  // Apply every edit to each file's text in memory
+  const originals = new Map();
+  const texts = new Map();
+  for (const edit of edits) {
+    const absolutePath = join(CONFIG.workspaceRoot, edit.file);
+    if (!originals.has(edit.file)) {
+      originals.set(edit.file, existsSync(absolutePath) ? readFileSync(absolutePath, 'utf-8') : null);
+      texts.set(edit.file, originals.get(edit.file) ?? '{}\n');
+    }
+    try {
+      texts.set(edit.file, addToJsonArray(texts.get(edit.file), edit.path, edit.items, edit.initial));
+      console.log(`[tracer] ${edit.file} ${edit.path.join('.')}: add ${edit.items.join(', ')} (for ${edit.taskIds.join(', ')})`);
+    } catch (err) {
+      console.log(`[tracer] Skipping edit to ${edit.file} ${edit.path.join('.')}: ${err.message}`);
+    }
+  }
+
+  const files = [];
+  for (const [file, text] of texts) {
+    const diff = createUnifiedDiff(file, originals.get(file) ?? '', text);
+    if (diff) files.push({ file, diff });
+  }
+  files.forEach(({ diff }) => {
+    console.log('');
+    console.log(diff.trimEnd());
+  });
+  console.log('');
+
+  // A dry run puts the original files back, also when interrupted while verifying
+  const restoreOriginals = dryRun
+    ? onRestore(() => {
+      for (const { file } of files) {
+        const original = originals.get(file);
+        if (original === null) {
+          unlinkSync(join(CONFIG.workspaceRoot, file));
+        } else {
+          writeFileSync(join(CONFIG.workspaceRoot, file), original);
+        }
+      }
+    })
+    : () => {};
+
+  let verification;
+  try {
+    for (const { file } of files) {
+      writeFileSync(join(CONFIG.workspaceRoot, file), texts.get(file));
+    }
+    console.log('[tracer] Verifying the new config with HashPlanInspector...');
+    verification = verifyConfigFixes(taskResults);
+  } finally {
+    restoreOriginals();
+  }
+
+  console.log('');
+  if (verification.uncovered.length > 0) {
+    console.log(`⚠️  The ${dryRun ? 'proposed' : 'updated'} config still does not cover:`);
+    verification.uncovered.forEach(({ taskId, path, kind }) => console.log(`  - ${path} (${kind} of ${taskId})`));
+  } else if (!verification.verified) {
+    console.log('⚠️  Could not verify every task with HashPlanInspector');
+  } else {
+    console.log(`✅ The ${dryRun ? 'proposed' : 'updated'} config covers every traced file`);
+  }
+  if (!dryRun) {
+    console.log(`[tracer] Updated ${files.map(f => f.file).join(', ')}`);
+  }
+
+  return { dryRun, files, ...verification };
+}
+
+// ============================================================================
+// Temporary workspace changes
+// ============================================================================
+
+// Undo functions for files changed while replaying or verifying (--tracer-verify, --tracer-check-determinism,
+// --tracer-dry-run), and the process groups of the reruns in flight
+const pendingRestores = new Set();
+const runningReruns = new Set();
+
+/**
+ * Register a function that undoes a temporary workspace change; returns a function that runs it
+ * once. Whatever is still registered runs if the tracer gets SIGINT or SIGTERM.
+ */
+function onRestore(restore) {
+  installRestoreHandlers();
+  pendingRestores.add(restore);
+  return () => {
+    if (pendingRestores.delete(restore)) restore();
+  };
+}
+
+let restoreHandlersInstalled = false;
+
+/**
+ * On SIGINT/SIGTERM, kill the reruns in flight and undo the pending changes (newest first) before exiting
+ */
+function installRestoreHandlers() {
+  if (restoreHandlersInstalled) return;
+  restoreHandlersInstalled = true;
+  for (const [signal, exitCode] of [['SIGINT', 130], ['SIGTERM', 143]]) {
+    process.once(signal, () => {
+      console.error(`\n[tracer] ${signal}: restoring the workspace...`);
+      for (const pid of runningReruns) {
+        try {
+          process.kill(-pid, 'SIGKILL');
+        } catch {}
+      }
+      for (const restore of [...pendingRestores].reverse()) {
+        pendingRestores.delete(restore);
+        try {
+          restore();
+        } catch (err) {
+          console.error(`[tracer] Could not restore the workspace: ${err.message}`);
+        }
+      }
+      process.exit(exitCode);
+    });
+  }
+}
+
+// ============================================================================
+// Replay verification (--tracer-verify)
+// ============================================================================
+
+/**
+ * Args for `npx nx run <taskId>`: the tracer's pass-through args plus `extra`, without duplicates
+ */
+function getNxRunArgs(taskId, nxArgs, extra = []) {
+  const args = ['nx', 'run', taskId, ...nxArgs];
+  for (const arg of extra) {
+    if (!args.includes(arg)) args.push(arg);
+  }
+  return args;
+}
+
+/**
+ * The pass-through args of a run-many/affected command that also apply to `nx run <taskId>`
+ * Accepts --name=value, --name value and -t value; --parallel may also be given without a value.
+ */
+function getSingleTaskArgs(nxArgs) {
+  const args = [];
+  for (let i = 0; i < nxArgs.length; i++) {
+    const match = nxArgs[i].match(/^--?([\w-]+)(=.*)?$/);
+    const takesValue = match ? MULTI_TASK_OPTIONS[match[1]] : undefined;
+    if (takesValue === undefined) {
+      args.push(nxArgs[i]);
+      continue;
+    }
+    const next = nxArgs[i + 1];
+    if (takesValue && !match[2] && next !== undefined && !next.startsWith('-')
+        && (match[1] !== 'parallel' || /^(\d+|true|false)$/.test(next))) {
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Run a task again without tracing (its output is discarded); resolves to the exit code
+ * The rerun gets its own process group, so Ctrl-C reaches the tracer, which kills it and
+ * restores the workspace, instead of the task stopping halfway while files are perturbed.
+ */
+function rerunTask(taskId, nxArgs) {
+  installRestoreHandlers();
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', getNxRunArgs(taskId, nxArgs, ['--skipNxCache', '--excludeTaskDependencies']), {
+      cwd: CONFIG.workspaceRoot,
+      stdio: 'ignore',
+      env: process.env,
+      detached: true,
+    });
+    runningReruns.add(child.pid);
+    child.on('error', (err) => {
+      runningReruns.delete(child.pid);
+      reject(err);
+    });
+    child.on('close', (code) => {
+      runningReruns.delete(child.pid);
+      resolve(code);
+    });
+  });
+}
+
+/**
+ * Files currently matching a task's declared outputs (relative to the workspace root)
+ */
+function collectOutputFiles(config) {
+  const files = new Set();
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = readdirSync(join(CONFIG.workspaceRoot, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!CONFIG.tracer.ignoredDirs.includes(entry.name)) walk(path);
+      } else if (findMatchingOutputTask(path, [config])) {
+        files.add(path);
+      }
+    }
+  };
+
+  for (const output of config.outputs) {
+    if (typeof output !== 'string' || output.startsWith('!')) continue;
+    const prefix = getStaticPrefix(output, config.root);
+    if (isDirectory(prefix)) {
+      walk(prefix);
+    } else if (prefix && existsSync(join(CONFIG.workspaceRoot, prefix))) {
+      files.add(prefix);
+    }
+  }
+  return [...files].sort();
+}
+
+/**
+ * Content hash of each file
+ */
+function hashFiles(files) {
+  return new Map(files.map(f => [f, createHash('sha256').update(readFileSync(join(CONFIG.workspaceRoot, f))).digest('hex')]));
+}
+
+/**
+ * Files that differ between two hash maps (changed, added or removed)
+ */
+function diffHashes(before, after) {
+  const changed = [...after].filter(([f, hash]) => before.get(f) !== hash).map(([f]) => f);
+  const removed = [...before.keys()].filter(f => !after.has(f));
+  return [...changed, ...removed].sort();
+}
+
+// Comment syntax used to perturb a file without breaking it, by extension
+const PERTURB_COMMENTS = {
+  '//': ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.cts', '.mts', '.tsx', '.rs', '.go', '.java', '.kt', '.c', '.h', '.cpp', '.scss', '.less'],
+  '#': ['.yml', '.yaml', '.toml', '.py', '.sh', '.properties', '.gitignore'],
+};
+
+/**
+ * Change a file's contents and mtime; returns a function that restores both
+ * Appends a comment where the syntax is known, otherwise a newline. Compilers and bundlers
+ * drop both, so an unchanged output only means this edit made no difference.
+ */
+function perturbFile(filePath) {
+  const absolutePath = join(CONFIG.workspaceRoot, filePath);
+  const original = readFileSync(absolutePath);
+  const { atime, mtime } = statSync(absolutePath);
+
+  const ext = extname(filePath);
+  const comment = Object.keys(PERTURB_COMMENTS).find(c => PERTURB_COMMENTS[c].includes(ext));
+  writeFileSync(absolutePath, Buffer.concat([original, Buffer.from(comment ? `\n${comment} io-tracer verify\n` : '\n')]));
+
+  return onRestore(() => {
+    writeFileSync(absolutePath, original);
+    utimesSync(absolutePath, atime, mtime);
+  });
+}
+
+/**
+ * Rerun each task with each of its suspect (undeclared or cross-project) reads perturbed, and
+ * diff the declared outputs against a clean rerun, to confirm reads that affect results
+ * Perturbed files are restored after each run, and the outputs to their traced state at the end
+ * (also on SIGINT/SIGTERM). A read with no effect is inconclusive, not proven irrelevant.
+ * Returns { results: [{ taskId, path, affectsOutputs, changedOutputs, exitCode }], noisyOutputs, skipped }.
+ */
+async function verifyUndeclaredReads(taskResults, nxArgs) {
+  const results = [];
+  const noisyOutputs = [];
+  let skipped = 0;
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log('CACHE VERIFICATION (replaying tasks with suspect reads perturbed)');
+  console.log('='.repeat(60));
+
+  for (const result of taskResults) {
+    let suspects = [...result.undeclaredReads, ...result.crossProjectReads]
+      .map(f => f.path)
+      .filter(f => existsSync(join(CONFIG.workspaceRoot, f)) && !isDirectory(f));
+    if (suspects.length === 0 || !result.config) continue;
+    if (results.length + suspects.length > CONFIG.verifyMaxReads) {
+      const allowed = Math.max(0, CONFIG.verifyMaxReads - results.length);
+      skipped += suspects.length - allowed;
+      suspects = suspects.slice(0, allowed);
+    }
+    if (suspects.length === 0) continue;
+
+    // Snapshot the traced outputs so they can be put back afterwards
+    const tracedFiles = collectOutputFiles(result.config);
+    const snapshot = new Map(tracedFiles.map(f => [f, readFileSync(join(CONFIG.workspaceRoot, f))]));
+    const tracedHashes = hashFiles(tracedFiles);
+    const restoreOutputs = onRestore(() => {
+      for (const file of collectOutputFiles(result.config)) {
+        if (!snapshot.has(file)) unlinkSync(join(CONFIG.workspaceRoot, file));
+      }
+      for (const [file, contents] of snapshot) {
+        mkdirSync(dirname(join(CONFIG.workspaceRoot, file)), { recursive: true });
+        writeFileSync(join(CONFIG.workspaceRoot, file), contents);
+      }
+    });
+
+    try {
+      console.log(`[tracer] ${result.taskId}: clean rerun for a baseline...`);
+      const baselineExitCode = await rerunTask(result.taskId, nxArgs);
+      const baseline = hashFiles(collectOutputFiles(result.config));
+
+      // Outputs that differ between the traced run and a clean rerun change on their own
+      const noisy = new Set(diffHashes(tracedHashes, baseline));
+      noisy.forEach(path => noisyOutputs.push({ taskId: result.taskId, path }));
+
+      for (const path of suspects) {
+        console.log(`[tracer] ${result.taskId}: rerunning with ${path} perturbed...`);
+        const restore = perturbFile(path);
+        let exitCode;
+        let hashes;
+        try {
+          exitCode = await rerunTask(result.taskId, nxArgs);
+          hashes = hashFiles(collectOutputFiles(result.config));
+        } finally {
+          restore();
+        }
+
+        const changedOutputs = diffHashes(baseline, hashes).filter(f => !noisy.has(f));
+        results.push({
+          taskId: result.taskId,
+          path,
+          affectsOutputs: changedOutputs.length > 0 || exitCode !== baselineExitCode,
+          changedOutputs,
+          exitCode,
+        });
+      }
+    } finally {
+      // Restore the outputs to what the traced run produced
+      restoreOutputs();
+    }
+  }
+
+  const confirmed = results.filter(r => r.affectsOutputs);
+  const noise = results.filter(r => !r.affectsOutputs);
+  console.log('');
+  if (results.length === 0) {
+    console.log('No suspect reads to verify');
+  }
+  if (confirmed.length > 0) {
+    console.log(`Confirmed (${confirmed.length}) - changing the file changed the result:`);
+    confirmed.forEach(r => console.log(`  ✗ ${r.path} (${r.taskId}): ${r.changedOutputs.length > 0 ? r.changedOutputs.slice(0, 3).join(', ') : `exit code ${r.exitCode}`}${r.changedOutputs.length > 3 ? ', ...' : ''}`));
+  }
+  if (noise.length > 0) {
+    console.log(`No observable effect (${noise.length}) - inconclusive, the edit may not survive compilation:`);
+    noise.forEach(r => console.log(`  ○ ${r.path} (${r.taskId})`));
+  }
+  if (noisyOutputs.length > 0) {
+    console.log(`⚠️  ${noisyOutputs.length} output file(s) differ between identical runs and were ignored (non-deterministic)`);
+  }
+  if (skipped > 0) {
+    console.log(`⚠️  Skipped ${skipped} suspect read(s) over the limit of ${CONFIG.verifyMaxReads} reruns`);
+  }
+
+  return { results, noisyOutputs, skipped };
+}
+
+// ============================================================================
+// Determinism check (--tracer-check-determinism)
+// ============================================================================
+
+/**
+ * Locate the first difference between two text files, with the differing line from each
+ * Returns null for binary files (a NUL byte in the first 8KB).
+ */
+function findFirstTextDifference(first, second) {
+  const isBinary = (b) => b.subarray(0, 8192).includes(0);
+  if (isBinary(first) || isBinary(second)) return null;
+
+  const a = first.toString('utf-8');
+  const b = second.toString('utf-8');
+  let index = 0;
+  while (index < a.length && index < b.length && a[index] === b[index]) index++;
+
+  const lineStart = a.lastIndexOf('\n', index - 1) + 1;
+  const column = index - lineStart;
+  // A window of the line around the difference (minified bundles have very long lines)
+  const excerpt = (text) => {
+    const lineEnd = text.indexOf('\n', lineStart);
+    const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+    const start = Math.max(0, column - 60);
+    return (start > 0 ? '…' : '') + line.slice(start, column + 100) + (line.length > column + 100 ? '…' : '');
+  };
+
+  return {
+    line: a.slice(0, index).split('\n').length,
+    column: column + 1,
+    first: excerpt(a),
+    second: excerpt(b),
+  };
+}
+
+/**
+ * Run each task twice from a clean state and compare every file it wrote
+ * The clean state removes the files the traced run wrote that are declared outputs, as restoring
+ * from cache would; they are put back afterwards (also on SIGINT/SIGTERM). Tasks with an output
+ * glob that covers one of their inputs are skipped, since cleaning could delete sources.
+ * Files larger than 1MB are compared by hash only.
+ * Returns [{ taskId, path, difference, firstDifference }].
+ */
+async function checkDeterminism(taskResults, resolvedInputsByTask, nxArgs) {
+  const maxTextSize = 1024 * 1024;
+  const differences = [];
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log('DETERMINISM CHECK (two clean runs per task)');
+  console.log('='.repeat(60));
+
+  for (const result of taskResults) {
+    if (!result.config) continue;
+    const written = result.accesses.writes
+      .filter(f => existsSync(join(CONFIG.workspaceRoot, f)) && !isDirectory(f));
+    const files = [...new Set([...written, ...collectOutputFiles(result.config)])];
+    if (files.length === 0) continue;
+
+    // Without HashPlanInspector, fall back to the traced reads the config declares as inputs
+    const resolvedInputs = resolvedInputsByTask.get(result.taskId);
+    const inputFiles = new Set(resolvedInputs
+      ? [...resolvedInputs]
+      : result.accesses.reads.filter(f => matchesPatterns(f, result.config.inputs, result.config.root)));
+    const coveredInputs = [...inputFiles].filter(f => findMatchingOutputTask(f, [result.config]));
+    if (coveredInputs.length > 0) {
+      console.log(`⚠️  Skipping ${result.taskId}: its outputs cover ${coveredInputs.length} of its input(s) (e.g. ${coveredInputs[0]}), which a clean run would delete`);
+      continue;
+    }
+
+    const cleanable = written.filter(f => findMatchingOutputTask(f, [result.config]) && !inputFiles.has(f));
+    const snapshot = new Map(cleanable.map(f => [f, readFileSync(join(CONFIG.workspaceRoot, f))]));
+    const restoreWritten = onRestore(() => {
+      for (const [file, contents] of snapshot) {
+        mkdirSync(dirname(join(CONFIG.workspaceRoot, file)), { recursive: true });
+        writeFileSync(join(CONFIG.workspaceRoot, file), contents);
+      }
+    });
+
+    const runs = [];
+    try {
+      for (let run = 1; run <= 2; run++) {
+        console.log(`[tracer] ${result.taskId}: clean run ${run} of 2...`);
+        for (const file of cleanable) {
+          const absolutePath = join(CONFIG.workspaceRoot, file);
+          if (existsSync(absolutePath)) unlinkSync(absolutePath);
+        }
+        const exitCode = await rerunTask(result.taskId, nxArgs);
+        const present = files.filter(f => existsSync(join(CONFIG.workspaceRoot, f)));
+        const contents = new Map(present
+          .filter(f => statSync(join(CONFIG.workspaceRoot, f)).size <= maxTextSize)
+          .map(f => [f, readFileSync(join(CONFIG.workspaceRoot, f))]));
+        runs.push({ exitCode, hashes: hashFiles(present), contents });
+      }
+    } finally {
+      // Put back what the traced run wrote
+      restoreWritten();
+    }
+
+    const [first, second] = runs;
+    if (first.exitCode !== second.exitCode) {
+      console.log(`⚠️  ${result.taskId} exited with ${first.exitCode}, then ${second.exitCode}`);
+    }
+    for (const path of files) {
+      const a = first.hashes.get(path);
+      const b = second.hashes.get(path);
+      if (a === b) continue;
+      const difference = !a ? 'only-second-run' : !b ? 'only-first-run' : 'content';
+      const firstDifference = difference === 'content' && first.contents.has(path) && second.contents.has(path)
+        ? findFirstTextDifference(first.contents.get(path), second.contents.get(path))
+        : null;
+      differences.push({ taskId: result.taskId, path, difference, firstDifference });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Print the outputs checkDeterminism found to differ (after suppressions and the baseline)
+ */
+function printNonDeterministicOutputs(differences) {
+  console.log('');
+  if (differences.length === 0) {
+    console.log('✅ Determinism check: every traced write was identical across both runs');
+  } else {
+    console.log(`⚠️  NON-DETERMINISTIC OUTPUTS (${differences.length} file(s) differ between identical runs, these poison remote caching):`);
+    for (const { taskId, path, difference, firstDifference } of differences) {
+      if (difference !== 'content') {
+        console.log(`  - ${path} (${taskId}): written in the ${difference === 'only-first-run' ? 'first' : 'second'} run only`);
+      } else if (firstDifference) {
+        console.log(`  - ${path} (${taskId}): first difference at line ${firstDifference.line}, column ${firstDifference.column}`);
+        console.log(`      run 1: ${firstDifference.first}`);
+        console.log(`      run 2: ${firstDifference.second}`);
+      } else {
+        console.log(`  - ${path} (${taskId}): binary or large file contents differ`);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// JSON report
+// ============================================================================
+
+const TRACER_VERSION = '0.8.0';
+
+// Bump when a field is removed or changes meaning; adding fields keeps the version
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Roll the tasks' project reads up into one row per (reading project, project read) pair
+ */
+function buildProjectReadMatrix(taskResults) {
+  const rows = new Map();
+  for (const result of taskResults) {
+    const project = result.config?.project;
+    for (const { project: dependency, files, outputsOf, inGraph } of result.projectReads || []) {
+      const key = `${project}\0${dependency}`;
+      if (!rows.has(key)) rows.set(key, { project, dependency, taskIds: [], files: 0, outputsOf: [], inGraph });
+      const row = rows.get(key);
+      row.taskIds.push(result.taskId);
+      row.files += files.length;
+      row.outputsOf = [...new Set([...row.outputsOf, ...outputsOf])];
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.project.localeCompare(b.project) || a.dependency.localeCompare(b.dependency));
+}
+
+/**
+ * Build the machine-readable report written by --tracer-output-json and --tracer-format=json
+ */
+function buildJsonReport({ taskId, command, backendName, taskConfigs, taskResults, results, taskExitCodes, verification, nonDeterministicOutputs, fixes, baseline, failOn, timing }) {
+  const findings = (kind) => taskResults.flatMap(r => r[kind]);
+  // A task's share of a run-wide list; everything belongs to the one task when accesses weren't split
+  const attributed = Object.keys(results.byTask || {}).length > 0;
+  const ofTask = (byTask, all, id) => (attributed ? byTask?.[id] : all) || [];
+
+  const report = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tracerVersion: TRACER_VERSION,
+    // The traced <project>:<target>; null when a whole run-many / affected command was traced
+    taskId,
+    command,
+    platform: getPlatform(),
+    backend: backendName,
+    workspaceRoot: CONFIG.workspaceRoot,
+    exitCode: results.exitCode,
+    timing,
+    taskChain: taskConfigs.map(c => ({
+      taskId: `${c.project}:${c.targetName}`,
+      root: c.root,
+      cache: c.cache,
+      inputs: c.inputs,
+      outputs: c.outputs,
+    })),
+    tasks: taskResults.map(r => ({
+      taskId: r.taskId,
+      // From Nx's run.json; the traced command's exit code for the traced task, null if unknown
+      exitCode: taskExitCodes?.get(r.taskId) ?? (r.taskId === taskId ? results.exitCode : null),
+      resolvedInputCount: r.resolvedInputCount,
+      configLocations: r.configLocations,
+      accesses: {
+        reads: r.accesses.reads,
+        writes: r.accesses.writes,
+        probes: r.accesses.probes,
+        listings: r.accesses.listings,
+        deletes: r.accesses.deletes,
+        missing: r.accesses.missing,
+      },
+      files: {
+        reads: r.reads,
+        writes: r.writes,
+        deletes: r.deletes,
+        listings: r.listings,
+        negativeLookups: r.negativeLookups,
+      },
+      // With --tracer-env: [{ name, declared }] without allowlisted variables, otherwise null
+      envReads: r.envReads,
+      // Packages read from node_modules: [{ name, version }]
+      packages: r.packages,
+      // Other projects read: [{ project, files, outputsOf, inGraph }]
+      projectReads: r.projectReads,
+      untracedPrograms: ofTask(results.untracedProgramsByTask, results.untracedPrograms, r.taskId),
+      truncatedPaths: ofTask(results.truncatedPathsByTask, results.truncatedPaths, r.taskId),
+    })),
+    unattributedAccesses: results.unattributed ?? null,
+    untracedPrograms: results.untracedPrograms || [],
+    // eBPF backend: path prefixes bpftrace truncated (those accesses are not analyzed)
+    truncatedPaths: results.truncatedPaths || [],
+    undeclaredReads: findings('undeclaredReads'),
+    undeclaredWrites: findings('undeclaredWrites'),
+    crossProjectReads: findings('crossProjectReads'),
+    negativeDependencies: findings('negativeDependencies'),
+    undeclaredEnvReads: findings('undeclaredEnvReads'),
+    // Network connections and reads outside the workspace: [{ taskId, category, target }]
+    externalAccess: findings('externalAccess'),
+    phantomDependencies: findings('phantomDependencies'),
+    undeclaredExternalDependencies: findings('undeclaredExternalDependencies'),
+    // Projects read without a project graph path to them: [{ taskId, name, files }]
+    missingProjectDependencies: findings('missingProjectDependencies'),
+    // Another project's target outputs read without a dependsOn on it: [{ taskId, name, files, suggestedDependsOn }]
+    missingTaskDependencies: findings('missingTaskDependencies'),
+    // Reads of other projects per project pair: [{ project, dependency, taskIds, files, outputsOf, inGraph }]
+    projectReadMatrix: buildProjectReadMatrix(taskResults),
+    unusedInputs: findings('unusedInputs'),
+    overDeclaredOutputs: findings('overDeclaredOutputs'),
+    // Findings matched by a suppression in the tracer config: the finding plus { rule, reason }
+    suppressedFindings: findings('suppressed'),
+    // With --tracer-verify: { results: [{ taskId, path, affectsOutputs, changedOutputs, exitCode }], noisyOutputs, skipped }, otherwise null
+    verification,
+    // With --tracer-check-determinism: [{ taskId, path, difference, firstDifference: { line, column, first, second } }], otherwise null
+    nonDeterministicOutputs,
+    // With --tracer-fix: { dryRun, files: [{ file, diff }], uncovered, verified }, otherwise null
+    fixes,
+    // With --tracer-baseline: { file, knownCount, newFindings, fixedFindings } (entries are { rule, taskId, subject }),
+    // otherwise null. Known findings are left out of the findings arrays above.
+    baseline,
+  };
+  // The tracer's exit code (see EXIT_CODES): { exitCode, failOn, failingCategories: { name: count } }
+  report.outcome = getRunOutcome(report, failOn);
+  return report;
+}
+
+// ============================================================================
 // Main
 // ============================================================================
 
 /**
- * Check if a file matches any task's declared inputs
+ * Check if a file matches any task's declared inputs
+ */
+function findMatchingInputTask(filePath, taskConfigs) {
+  for (const config of taskConfigs) {
+    if (matchesPatterns(filePath, config.inputs, config.root)) {
+      return config.project;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a file matches any task's declared outputs
+ */
+function findMatchingOutputTask(filePath, taskConfigs) {
+  for (const config of taskConfigs) {
+    if (matchesPatterns(filePath, config.outputs, config.root)) {
+      return config.project;
+    }
+  }
+  return null;
+}
+
+/**
+ * Suggest an input glob that would cover a file path
+ * Files in the project get a recursive extension glob under their directory,
+ * anything else an exact {workspaceRoot} path
+ */
+function suggestInputGlob(filePath, projectRoot) {
+  if (!projectRoot || !filePath.startsWith(projectRoot + '/')) {
+    return `{workspaceRoot}/${filePath}`;
+  }
+  const projectPath = filePath.slice(projectRoot.length + 1);
+  const ext = extname(projectPath);
+  if (!ext) return `{projectRoot}/${projectPath}`;
+  const dir = dirname(projectPath);
+  return dir === '.' ? `{projectRoot}/*${ext}` : `{projectRoot}/${dir}/**/*${ext}`;
+}
+
+/**
+ * Get every project's root and target outputs from the project graph
+ * (roots to detect cross-project reads, outputs to detect overlapping outputs)
+ * Returns [{ name, root, outputs: { target: [patterns] } }]
+ */
+function getWorkspaceProjects() {
+  try {
+    const script = `
+const { createProjectGraphAsync } = require('@nx/devkit');
+const interpolate = (output, options) => output.replace(/[{]options[.]([a-zA-Z0-9_]+)[}]/g, (m, key) => (options && options[key] !== undefined ? String(options[key]) : m));
+async function main() {
+  const graph = await createProjectGraphAsync();
+  const projects = Object.values(graph.nodes).map(n => ({
+    name: n.name,
+    root: n.data.root,
+    dependencies: (graph.dependencies[n.name] || []).map(d => d.target).filter(t => graph.nodes[t]),
+    outputs: Object.fromEntries(Object.entries(n.data.targets || {}).map(([name, t]) => [name, (t.outputs || []).map(o => interpolate(o, t.options))])),
+  }));
+  console.log(JSON.stringify(projects));
+}
+main();
+`;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"').replace(/\n/g, ' ')}"`, {
+      cwd: CONFIG.workspaceRoot,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 50 * 1024 * 1024,
+    });
+    return JSON.parse(output.trim());
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Ignore globs of a task from the tracer config, relative to the workspace root
+ */
+function getTaskIgnorePatterns(config) {
+  if (!config) return CONFIG.tracer.ignore;
+  return getIgnorePatterns(CONFIG.tracer, config.project, config.targetName)
+    .map(p => p.replace(/^\{workspaceRoot\}\//, '').replace(/\{projectRoot\}/g, config.root));
+}
+
+/**
+ * Drop the accesses matching a task's ignore globs, as if they were never traced
+ */
+function removeIgnoredAccesses(accesses, config) {
+  const patterns = getTaskIgnorePatterns(config);
+  if (patterns.length === 0) return accesses;
+  const filtered = { ...accesses };
+  for (const kind of Object.keys(createAccessSets())) {
+    filtered[kind] = (accesses[kind] || []).filter(f => !patterns.some(p => matchesGlob(f, p)));
+  }
+  return filtered;
+}
+
+/**
+ * Move the findings matched by a suppression in the tracer config to `suppressed`,
+ * with the rule and the suppression's reason
+ */
+function applySuppressions(result) {
+  const suppressed = [];
+  const filtered = { ...result };
+  for (const [rule, key] of Object.entries(FINDING_RULES)) {
+    if (!result[key]) continue;
+    filtered[key] = result[key].filter(finding => {
+      const suppression = findSuppression(CONFIG.tracer, rule, finding);
+      if (suppression) suppressed.push({ ...finding, rule, reason: suppression.reason });
+      return !suppression;
+    });
+  }
+  return { ...filtered, suppressed };
+}
+
+/**
+ * Compare one task's traced accesses against declared inputs/outputs
+ * `configs` are the task configs a file may be declared by: the task itself when accesses
+ * were attributed per task, or every task in the chain when they weren't.
+ * Every finding carries the taskId it belongs to.
+ */
+function analyzeTaskAccesses(taskId, configs, accesses, resolvedInputs, allProjectRoots) {
+  // Existence probes (stat/access) are inputs too: the task's behavior depends on the file being there
+  const readSet = new Set(accesses.reads);
+  const probedOnly = accesses.probes.filter(f => !readSet.has(f));
+  const accessKinds = new Map(probedOnly.map(f => [f, 'probe']));
+
+  // Filter out Nx infrastructure files (project.json, tsconfig.json, etc.)
+  const taskReads = [...accesses.reads, ...probedOnly].sort().filter(f => !isNxInfrastructure(f));
+  const taskWrites = accesses.writes.filter(f => !isNxInfrastructure(f));
+  const taskDeletes = accesses.deletes.filter(f => !isNxInfrastructure(f));
+  const taskListings = accesses.listings.filter(f => !isNxInfrastructure(f));
+  const taskMissing = accesses.missing.filter(f => !isNxInfrastructure(f));
+
+  // Get project root for filtering
+  const projectRoot = configs[0]?.root || '';
+
+  // Helper to check if a file is in another project (not the current one)
+  const isInOtherProject = (filePath) => {
+    for (const root of allProjectRoots) {
+      if (root !== projectRoot && (filePath.startsWith(root + '/') || filePath === root)) {
+        return root;
+      }
+    }
+    return null;
+  };
+
+  // Helper to check if a file is relevant to this project
+  // (in project root, or in a shared location like libs/)
+  const isRelevantToProject = (filePath) => {
+    // Files in the project root are always relevant
+    if (filePath.startsWith(projectRoot + '/') || filePath === projectRoot) {
+      return true;
+    }
+    // Root-level files might be relevant (e.g., shared configs)
+    if (!filePath.includes('/')) {
+      return true;
+    }
+    // Files in other projects/directories are likely Nx scanning, not task I/O
+    return false;
+  };
+
+  // Helper to check if file is in resolved inputs (from HashPlanInspector)
+  const isInResolvedInputs = (filePath) => {
+    if (!resolvedInputs) return false;
+    return resolvedInputs.has(filePath);
+  };
+
+  // Check resolved inputs first, then pattern matching
+  const isDeclaredInput = (filePath) =>
+    isInResolvedInputs(filePath) || !!findMatchingInputTask(filePath, configs);
+  const isDeclaredOutput = (filePath) => !!findMatchingOutputTask(filePath, configs);
+
+  // Compare against declared inputs/outputs
+  // Filter out directories and files outside the project
+  // Use HashPlanInspector resolved inputs if available, fall back to pattern matching
+  const undeclaredReads = taskReads
+    .filter(f => !isDirectory(f) && isRelevantToProject(f) && !isDeclaredInput(f))
+    .map(path => ({ taskId, path }));
+  const undeclaredWrites = taskWrites
+    .filter(f => !isDirectory(f) && isRelevantToProject(f) && !isDeclaredOutput(f))
+    .map(path => ({ taskId, path }));
+
+  // Detect cross-project reads (files from other projects that aren't in resolved inputs)
+  // These indicate missing ^ dependency inputs
+  const crossProjectReads = taskReads
+    .filter(f => !isDirectory(f) && isInOtherProject(f) && !isInResolvedInputs(f))
+    .map(path => ({ taskId, path, project: isInOtherProject(path) }));
+
+  // Detect negative dependencies: missing paths the task probed (module resolution candidates)
+  // that no input glob covers. Creating one later changes the output but not the hash.
+  // Paths that exist now were created during the task and are outputs, not dependencies.
+  const negativeDependencies = taskMissing
+    .filter(f => isRelevantToProject(f) && !existsSync(join(CONFIG.workspaceRoot, f)))
+    .filter(f => !findMatchingInputTask(f, configs))
+    .map(path => ({ taskId, path, suggestedInput: suggestInputGlob(path, projectRoot) }));
+
+  return {
+    taskId,
+    resolvedInputCount: resolvedInputs ? resolvedInputs.size : null,
+    // Everything the task's processes touched, before filtering to the project
+    accesses,
+    // Files relevant to the project, with their declared status
+    reads: taskReads
+      .filter(f => isRelevantToProject(f) && !isDirectory(f))
+      .map(path => ({ path, declared: isDeclaredInput(path), kind: accessKinds.get(path) || 'read' })),
+    writes: taskWrites
+      .filter(f => isRelevantToProject(f) && !isDirectory(f))
+      .map(path => ({ path, declared: isDeclaredOutput(path) })),
+    deletes: taskDeletes
+      .filter(f => isRelevantToProject(f))
+      .map(path => ({ path, declared: isDeclaredOutput(path) })),
+    listings: taskListings.filter(f => isRelevantToProject(f)),
+    // Negative lookups: paths probed that did not exist (ENOENT) - creating one later can change the output
+    negativeLookups: taskMissing.filter(f => isRelevantToProject(f)),
+    undeclaredReads,
+    undeclaredWrites,
+    crossProjectReads,
+    negativeDependencies,
+  };
+}
+
+/**
+ * Suggest negation patterns that exclude `unused` files without excluding any `used` one
+ * Files are grouped by their full extension (".stories.tsx", ".md"); each group gets the
+ * broadest of: the extension anywhere under `token`, or under the group's common directory.
+ * Files of a kind the task does read (e.g. one unread .ts among read ones) get no suggestion:
+ * another change could make the task read them. Files without an extension are excluded by name.
+ */
+function suggestNegations(unused, used, base, token) {
+  const relativeTo = (p) => (base && base !== '.' ? p.slice(base.length + 1) : p);
+  const usedPaths = used.map(p => join(CONFIG.workspaceRoot, p));
+  const excludesUsed = (pattern) => usedPaths.some(p => matchesSinglePattern(p, pattern, base));
+
+  const groups = new Map();
+  for (const path of unused) {
+    const rel = relativeTo(path);
+    const name = rel.split('/').pop();
+    const dot = name.indexOf('.', 1);
+    const ext = dot === -1 ? '' : name.slice(dot);
+    if (!groups.has(ext)) groups.set(ext, []);
+    groups.get(ext).push(rel);
+  }
+
+  const negations = [];
+  for (const [ext, files] of groups) {
+    const dirs = files.map(f => dirname(f).split('/'));
+    let common = dirs[0];
+    for (const dir of dirs) {
+      let k = 0;
+      while (k < common.length && common[k] === dir[k]) k++;
+      common = common.slice(0, k);
+    }
+    const commonDir = common.join('/');
+
+    if (!ext) {
+      files.forEach(f => negations.push(`!${token}/${f}`));
+      continue;
+    }
+    const candidates = [`${token}/**/*${ext}`];
+    if (commonDir && commonDir !== '.') candidates.push(`${token}/${commonDir}/**/*${ext}`);
+    const pattern = candidates.find(c => !excludesUsed(c));
+    if (pattern) negations.push(`!${pattern}`);
+  }
+  return negations;
+}
+
+/**
+ * Find declared inputs the task never read (the opposite of undeclared reads)
+ * Compares the HashPlanInspector file set with the files the task read or probed, and groups
+ * the unused ones by the input (and the pattern inside a named input) that brought them in.
+ * Returns [{ taskId, input, pattern, files, suggestedNegations, removable }]; `removable` is set
+ * for an input declared directly on the task (not a named input) that matched no file the task read.
+ */
+function analyzeUnusedInputs(taskId, config, accesses, resolvedInputs, allProjectRoots) {
+  if (!config || !resolvedInputs) return [];
+
+  const accessed = [...accesses.reads, ...accesses.probes];
+  const accessedSet = new Set(accessed);
+  // Nx infrastructure files (project.json, tsconfig...) are read by Nx, not the task
+  // Ignored paths (tracer config) are not traced, so they can't be told apart from unused ones
+  const ignore = getTaskIgnorePatterns(config);
+  const unused = [...resolvedInputs]
+    .filter(f => !accessedSet.has(f) && !isNxInfrastructure(f) && !ignore.some(p => matchesGlob(f, p)))
+    .sort();
+  if (unused.length === 0) return [];
+
+  const namedInputs = getNamedInputs();
+  const inputs = config.inputs.length > 0 ? config.inputs : ['default', '^default'];
+
+  const isUnder = (filePath, root) => root === '.' || filePath.startsWith(root + '/');
+  // Root of the (other) project a dependency file belongs to, longest match first
+  const otherRoots = [...allProjectRoots].filter(r => r !== config.root).sort((a, b) => b.length - a.length);
+  const findProjectRoot = (filePath) => otherRoots.find(r => isUnder(filePath, r)) || null;
+
+  const findSource = (filePath) => {
+    const absolutePath = join(CONFIG.workspaceRoot, filePath);
+    for (const input of inputs) {
+      if (typeof input !== 'string' || input.startsWith('!')) continue;
+      const isDependency = input.startsWith('^');
+      const name = isDependency ? input.slice(1) : input;
+      const root = isDependency ? findProjectRoot(filePath) : config.root;
+      if (isDependency && !root) continue;
+
+      const { patterns, negations } = namedInputs[name] ? expandInputs([name]) : { patterns: [name], negations: [] };
+      if (negations.some(n => matchesSinglePattern(absolutePath, n, root))) continue;
+      const pattern = patterns.find(p => matchesSinglePattern(absolutePath, p, root));
+      if (pattern) {
+        // {projectRoot} in the task's own inputs means its own root: anything else needs {workspaceRoot}
+        return { input, pattern, root: isDependency || isUnder(filePath, root) ? root : null };
+      }
+    }
+    return { input: '(other)', pattern: '', root: null };
+  };
+
+  const groups = new Map();
+  for (const filePath of unused) {
+    const { input, pattern, root } = findSource(filePath);
+    const key = `${input}\0${pattern}`;
+    if (!groups.has(key)) groups.set(key, { input, pattern, roots: new Map() });
+    const byRoot = groups.get(key).roots;
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(filePath);
+  }
+
+  return [...groups.values()].map(({ input, pattern, roots }) => {
+    const files = [...roots.values()].flat().sort();
+    const isNamed = !!namedInputs[input.replace(/^\^/, '')];
+    if (input === pattern && !isNamed && !input.startsWith('^') &&
+        !accessed.some(f => matchesSinglePattern(join(CONFIG.workspaceRoot, f), pattern, config.root))) {
+      return { taskId, input, pattern, files, suggestedNegations: [], removable: true };
+    }
+    // Negations are relative to the project the files are in ({projectRoot} also works inside ^ named inputs)
+    const suggestedNegations = [...roots].flatMap(([root, rootFiles]) => root
+      ? suggestNegations(rootFiles, accessed.filter(f => isUnder(f, root)), root, '{projectRoot}')
+      : suggestNegations(rootFiles, accessed, '', '{workspaceRoot}'));
+    return { taskId, input, pattern, files, suggestedNegations: [...new Set(suggestedNegations)], removable: false };
+  });
+}
+
+/**
+ * The literal directory part of an output pattern: its path segments up to the first glob
+ */
+function getStaticPrefix(pattern, projectRoot) {
+  const path = relative(CONFIG.workspaceRoot, resolve(CONFIG.workspaceRoot, expandNxPath(pattern, projectRoot)));
+  const segments = path ? path.split('/') : [];
+  const firstGlob = segments.findIndex(s => /[*?[{]/.test(s));
+  return (firstGlob === -1 ? segments : segments.slice(0, firstGlob)).join('/');
+}
+
+/**
+ * Find declared outputs that are too broad (the opposite of undeclared writes)
+ * - unused: the pattern matched nothing the task wrote, so Nx caches and restores stale files
+ * - overlaps-task: the pattern may cover another task's outputs (one's literal directory contains the other's)
+ * - covers-inputs: the pattern matches the task's own input files (e.g. `{projectRoot}`)
+ * Returns [{ taskId, output, kind, overlapsWith?, files? }].
+ */
+function analyzeOverDeclaredOutputs(taskId, config, accesses, resolvedInputs, workspaceProjects) {
+  if (!config) return [];
+  const outputs = config.outputs.filter(o => typeof o === 'string' && !o.startsWith('!'));
+  const issues = [];
+
+  for (const output of outputs) {
+    const single = [{ ...config, outputs: [output] }];
+    if (!accesses.writes.some(f => findMatchingOutputTask(f, single))) {
+      issues.push({ taskId, output, kind: 'unused' });
+    }
+
+    const prefix = getStaticPrefix(output, config.root);
+    const overlapsWith = [];
+    for (const other of workspaceProjects) {
+      for (const [target, otherOutputs] of Object.entries(other.outputs)) {
+        if (other.name === config.project && target === config.targetName) continue;
+        for (const otherOutput of otherOutputs) {
+          if (otherOutput.startsWith('!')) continue;
+          const otherPrefix = getStaticPrefix(otherOutput, other.root);
+          const [shorter, longer] = prefix.length <= otherPrefix.length ? [prefix, otherPrefix] : [otherPrefix, prefix];
+          if (shorter === longer || longer.startsWith(shorter + '/') || shorter === '') {
+            overlapsWith.push(`${other.name}:${target} (${otherOutput})`);
+          }
+        }
+      }
+    }
+    if (overlapsWith.length > 0) {
+      issues.push({ taskId, output, kind: 'overlaps-task', overlapsWith });
+    }
+
+    // Without HashPlanInspector, fall back to the traced reads the config declares as inputs
+    const inputFiles = resolvedInputs
+      ? [...resolvedInputs]
+      : accesses.reads.filter(f => matchesPatterns(f, config.inputs, config.root));
+    const coveredInputs = inputFiles.filter(f => findMatchingOutputTask(f, single));
+    if (coveredInputs.length > 0) {
+      issues.push({ taskId, output, kind: 'covers-inputs', files: coveredInputs.sort() });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Projects reachable from `project` over project graph edges (what ^ inputs and ^ dependsOn cover)
+ */
+function getReachableProjects(project, projectsByName) {
+  const reachable = new Set();
+  const queue = [...(projectsByName.get(project)?.dependencies || [])];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (reachable.has(name)) continue;
+    reachable.add(name);
+    queue.push(...(projectsByName.get(name)?.dependencies || []));
+  }
+  return reachable;
+}
+
+/**
+ * Check if a task's dependsOn runs `project:target` before it
+ * Target and project names in dependsOn may be globs (`^build-*`), as in Nx.
+ */
+function dependsOnTarget(config, project, target) {
+  const matches = (name, pattern) => name === pattern || (/[*?{]/.test(pattern) && matchesGlob(name, pattern));
+  return (config.target?.dependsOn || []).some(dep => {
+    if (typeof dep === 'string') {
+      if (dep.startsWith('^')) return matches(target, dep.slice(1));
+      const separator = dep.indexOf(':');
+      return separator > 0 && matches(project, dep.slice(0, separator)) && matches(target, dep.slice(separator + 1));
+    }
+    if (typeof dep?.target !== 'string' || !matches(target, dep.target)) return false;
+    // `dependencies: true` and the older `projects: 'dependencies'` are the object forms of ^
+    if (dep.dependencies || dep.projects === 'dependencies') return true;
+    const projects = Array.isArray(dep.projects) ? dep.projects : [dep.projects];
+    return projects.some(p => typeof p === 'string' && matches(project, p));
+  });
+}
+
+/**
+ * Roll a task's reads of other projects up per project and compare them with the project graph
+ * Unlike crossProjectReads (files no ^ input covers), this asks whether the graph connects the
+ * projects at all, and whether the task waits for the build whose outputs it read:
+ * - missingProjectDependencies: [{ taskId, name, files }] projects the graph has no path to, so
+ *   no ^ input or ^ dependsOn reaches them; the fix is an implicitDependencies entry
+ * - missingTaskDependencies: [{ taskId, name, files, suggestedDependsOn }] declared outputs of
+ *   another project's target (`name`) read without a dependsOn that runs it first
+ * - projectReads: [{ project, files, outputsOf, inGraph }] every project read, for the matrix
+ */
+function analyzeProjectDependencies(taskId, config, accesses, workspaceProjects) {
+  if (!config) return { projectReads: [], missingProjectDependencies: [], missingTaskDependencies: [] };
+  const projectsByName = new Map(workspaceProjects.map(p => [p.name, p]));
+  const reachable = getReachableProjects(config.project, projectsByName);
+  const others = workspaceProjects.filter(p => p.name !== config.project);
+
+  // Other projects' declared outputs by literal directory, and their roots (nested projects first)
+  const outputDirs = others.flatMap(other => Object.entries(other.outputs).flatMap(([target, outputs]) => outputs
+    .filter(o => !o.startsWith('!'))
+    .map(o => ({ project: other.name, target, prefix: getStaticPrefix(o, other.root) }))
+    .filter(o => o.prefix)));
+  const roots = others.filter(p => p.root && p.root !== '.').sort((a, b) => b.root.length - a.root.length);
+  const isUnder = (filePath, dir) => filePath === dir || filePath.startsWith(dir + '/');
+
+  const byProject = new Map();
+  for (const file of accesses.reads) {
+    if (isNxInfrastructure(file) || isDirectory(file)) continue;
+    const output = outputDirs.find(o => isUnder(file, o.prefix));
+    if (!output && config.root && config.root !== '.' && isUnder(file, config.root)) continue;
+    const project = output?.project ?? roots.find(p => isUnder(file, p.root))?.name;
+    if (!project) continue;
+
+    if (!byProject.has(project)) byProject.set(project, { files: [], outputs: new Map() });
+    const reads = byProject.get(project);
+    reads.files.push(file);
+    if (output) {
+      if (!reads.outputs.has(output.target)) reads.outputs.set(output.target, []);
+      reads.outputs.get(output.target).push(file);
+    }
+  }
+
+  const projectReads = [];
+  const missingProjectDependencies = [];
+  const missingTaskDependencies = [];
+  for (const [project, { files, outputs }] of [...byProject].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const inGraph = reachable.has(project);
+    projectReads.push({ project, files, outputsOf: [...outputs.keys()], inGraph });
+    if (!inGraph) {
+      missingProjectDependencies.push({ taskId, name: project, files });
+    }
+    for (const [target, outputFiles] of outputs) {
+      if (!dependsOnTarget(config, project, target)) {
+        missingTaskDependencies.push({ taskId, name: `${project}:${target}`, files: outputFiles, suggestedDependsOn: `^${target}` });
+      }
+    }
+  }
+  return { projectReads, missingProjectDependencies, missingTaskDependencies };
+}
+
+/**
+ * Category of a read outside the workspace (first match in CONFIG.externalCategories)
+ */
+function categorizeExternalPath(filePath) {
+  const home = homedir();
+  const expand = (prefix) => (prefix.startsWith('~/') ? `${home}/${prefix.slice(2)}` : prefix);
+  for (const [category, prefixes] of Object.entries(CONFIG.externalCategories)) {
+    if (prefixes.some(prefix => filePath.startsWith(expand(prefix)))) return category;
+  }
+  return 'system';
+}
+
+function isLoopbackAddress(address) {
+  return /^(127\.|\[::1\]|\[::ffff:127\.)/.test(address);
+}
+
+/**
+ * Non-hermetic accesses of a task: network connections and reads outside the workspace
+ * Returns [{ taskId, category, target }]: category is network or loopback for connections
+ * (target "address:port"), otherwise a CONFIG.externalCategories key (target an absolute path)
  */
-function findMatchingInputTask(filePath, taskConfigs) {
-  for (const config of taskConfigs) {
-    if (matchesPatterns(filePath, config.inputs, config.root)) {
-      return config.project;
+function analyzeExternalAccess(taskId, accesses) {
+  const connections = (accesses.connects || []).map(target => ({
+    taskId,
+    category: isLoopbackAddress(target) ? 'loopback' : 'network',
+    target,
+  }));
+  const files = (accesses.external || []).map(target => ({ taskId, category: categorizeExternalPath(target), target }));
+  return [...connections, ...files];
+}
+
+/**
+ * Directory an external path is summarized under: the first directory below $HOME,
+ * or the first three levels elsewhere (e.g. /usr/lib/jvm)
+ */
+function getExternalRoot(filePath) {
+  const home = homedir();
+  if (filePath.startsWith(`${home}/`)) {
+    return join(home, filePath.slice(home.length + 1).split('/')[0]);
+  }
+  return filePath.split('/').slice(0, 4).join('/');
+}
+
+/**
+ * Where a task's inputs and outputs are declared (see findTaskConfigLocation)
+ */
+function getConfigLocations(config) {
+  if (!config) return null;
+  return {
+    inputs: findTaskConfigLocation(config, 'inputs'),
+    outputs: findTaskConfigLocation(config, 'outputs'),
+  };
+}
+
+/**
+ * Print the traced files and mismatches for one task
+ */
+function printTaskResults(result) {
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(`TRACING RESULTS: ${result.taskId}`);
+  console.log('='.repeat(60));
+
+  console.log('');
+  console.log(`FILES READ (${result.reads.length} files in project scope):`);
+  if (result.reads.length === 0) {
+    console.log('  (none detected in project scope)');
+  } else {
+    result.reads.forEach(({ path, declared, kind }) => {
+      console.log(`  ${declared ? '✓' : '✗'} ${path}${kind !== 'read' ? ` (${kind})` : ''}`);
+    });
+  }
+
+  console.log('');
+  console.log(`FILES WRITTEN (${result.writes.length} files in project scope):`);
+  if (result.writes.length === 0) {
+    console.log('  (none detected in project scope)');
+  } else {
+    result.writes.forEach(({ path, declared }) => console.log(`  ${declared ? '✓' : '✗'} ${path}`));
+  }
+
+  if (result.deletes.length > 0) {
+    console.log('');
+    console.log(`FILES DELETED (${result.deletes.length} files in project scope):`);
+    result.deletes.forEach(({ path, declared }) => console.log(`  ${declared ? '✓' : '✗'} ${path}`));
+  }
+
+  if (result.listings.length > 0) {
+    console.log('');
+    console.log(`DIRECTORIES LISTED (${result.listings.length} in project scope):`);
+    result.listings.forEach(f => console.log(`  - ${f}`));
+  }
+
+  if (result.negativeLookups.length > 0) {
+    console.log('');
+    console.log(`NEGATIVE LOOKUPS (${result.negativeLookups.length} missing paths probed in project scope):`);
+    result.negativeLookups.forEach(f => console.log(`  ? ${f}`));
+  }
+
+  if (result.externalAccess.length > 0) {
+    const labels = {
+      network: 'Network connections',
+      loopback: 'Loopback connections',
+      toolchain: 'Toolchain files',
+      'user-config': 'User config files',
+      system: 'System files',
+    };
+    const categories = ['network', 'loopback', ...Object.keys(CONFIG.externalCategories)];
+    console.log('');
+    console.log(`EXTERNAL ACCESS (${result.externalAccess.length} outside the workspace - the task is not hermetic):`);
+    for (const category of categories) {
+      const targets = result.externalAccess.filter(a => a.category === category).map(a => a.target);
+      if (targets.length === 0) continue;
+      console.log(`  ${category === 'network' ? '⚠️  ' : ''}${labels[category] || category} (${targets.length}):`);
+      if (targets.length <= 10) {
+        targets.forEach(t => console.log(`    - ${t}`));
+        continue;
+      }
+      const byRoot = new Map();
+      targets.forEach(t => byRoot.set(getExternalRoot(t), (byRoot.get(getExternalRoot(t)) || 0) + 1));
+      [...byRoot].sort((a, b) => b[1] - a[1]).forEach(([root, count]) => console.log(`    - ${root} (${count} files)`));
     }
   }
-  return null;
+
+  if (result.packages.length > 0) {
+    console.log('');
+    console.log(`PACKAGES READ: ${result.packages.length} from node_modules (listed in the JSON report)`);
+  }
+
+  if (result.projectReads.length > 0) {
+    console.log('');
+    console.log(`PROJECTS READ (${result.projectReads.length}, ✓ = connected in the project graph):`);
+    result.projectReads.forEach(({ project, files, outputsOf, inGraph }) => {
+      const outputs = outputsOf.length > 0 ? `, outputs of ${outputsOf.join(', ')}` : '';
+      console.log(`  ${inGraph ? '✓' : '✗'} ${project} (${files.length} files${outputs})`);
+    });
+  }
+
+  if (result.envReads?.length > 0) {
+    console.log('');
+    console.log(`ENV VARIABLES READ (${result.envReads.length}, allowlisted ones hidden):`);
+    result.envReads.forEach(({ name, declared }) => console.log(`  ${declared ? '✓' : '✗'} ${name}`));
+  }
+
+  if (result.unusedInputs.length > 0) {
+    const unusedCount = result.unusedInputs.reduce((n, g) => n + g.files.length, 0);
+    console.log('');
+    console.log(`UNUSED INPUTS (${unusedCount} declared input files never read - they only cause cache misses):`);
+    for (const { input, pattern, files, suggestedNegations, removable } of result.unusedInputs) {
+      const source = pattern && pattern !== input ? `${input} → ${pattern}` : input;
+      console.log(`  ${source} (${files.length} files)`);
+      files.slice(0, 10).forEach(f => console.log(`    - ${f}`));
+      if (files.length > 10) console.log(`    ... and ${files.length - 10} more`);
+      if (removable) {
+        console.log(`    Consider removing "${input}" from inputs`);
+      } else if (suggestedNegations.length > 0) {
+        console.log(`    Consider excluding: ${suggestedNegations.map(n => `"${n}"`).join(', ')}`);
+      }
+    }
+  }
+
+  if (result.overDeclaredOutputs.length > 0) {
+    const describe = {
+      'unused': () => 'matched nothing the task wrote (Nx will cache and restore stale files)',
+      'overlaps-task': (issue) => `may overlap ${issue.overlapsWith.join(', ')}`,
+      'covers-inputs': (issue) => `covers ${issue.files.length} of the task's own input files (e.g. ${issue.files[0]})`,
+    };
+    console.log('');
+    console.log(`OVER-DECLARED OUTPUTS (${result.overDeclaredOutputs.length}):`);
+    result.overDeclaredOutputs.forEach(issue => console.log(`  - "${issue.output}" ${describe[issue.kind](issue)}`));
+  }
+
+  if (result.suppressed.length > 0) {
+    console.log('');
+    console.log(`SUPPRESSED (${result.suppressed.length} findings accepted in the tracer config):`);
+    result.suppressed.forEach(f => console.log(`  - [${f.rule}] ${getFindingSubject(f)}: ${f.reason}`));
+  }
+
+  const { undeclaredReads, undeclaredWrites, crossProjectReads, negativeDependencies, undeclaredEnvReads, phantomDependencies, undeclaredExternalDependencies,
+    missingProjectDependencies, missingTaskDependencies } = result;
+  if (undeclaredReads.length === 0 && undeclaredWrites.length === 0 && crossProjectReads.length === 0 && negativeDependencies.length === 0 &&
+    undeclaredEnvReads.length === 0 && phantomDependencies.length === 0 && undeclaredExternalDependencies.length === 0 &&
+    missingProjectDependencies.length === 0 && missingTaskDependencies.length === 0) {
+    return;
+  }
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(`⚠️  UNDECLARED I/O DETECTED: ${result.taskId}`);
+  console.log('='.repeat(60));
+
+  if (undeclaredReads.length > 0) {
+    console.log('');
+    console.log('Undeclared inputs (files read but not in any task inputs):');
+    undeclaredReads.forEach(f => console.log(`  - ${f.path}`));
+  }
+
+  if (crossProjectReads.length > 0) {
+    console.log('');
+    console.log('Cross-project reads (missing ^ dependency inputs):');
+    console.log('These files from OTHER projects were read but are not in inputs.');
+    console.log('Add "^{projectRoot}/**/*" or similar to include dependency files.');
+    crossProjectReads.forEach(f => console.log(`  - ${f.path} (from ${f.project})`));
+  }
+
+  if (missingProjectDependencies.length > 0) {
+    const project = result.config.project;
+    console.log('');
+    console.log(`Missing project graph edges (projects read that the graph does not connect to ${project}):`);
+    console.log('^ inputs and ^ dependsOn only follow graph edges, so no input can cover these reads yet.');
+    missingProjectDependencies.forEach(f => console.log(`  - ${f.name} (${f.files.length} files, e.g. ${f.files[0]}): add "${f.name}" to the implicitDependencies of ${project}`));
+  }
+
+  if (missingTaskDependencies.length > 0) {
+    console.log('');
+    console.log('Missing task dependencies (outputs of another project\'s target read without running it first):');
+    console.log('The read races that build, or sees stale outputs from an earlier one.');
+    missingTaskDependencies.forEach(f => console.log(`  - ${f.name} (${f.files.length} files, e.g. ${f.files[0]}): add "${f.suggestedDependsOn}" to dependsOn`));
+  }
+
+  if (negativeDependencies.length > 0) {
+    console.log('');
+    console.log('Negative dependencies (missing paths probed but not covered by any input glob):');
+    console.log('Creating a file at one of these paths changes the output without changing the hash.');
+    const byGlob = new Map();
+    for (const { path, suggestedInput } of negativeDependencies) {
+      if (!byGlob.has(suggestedInput)) byGlob.set(suggestedInput, []);
+      byGlob.get(suggestedInput).push(path);
+    }
+    for (const [glob, paths] of byGlob) {
+      console.log(`  Add "${glob}" to inputs:`);
+      paths.forEach(f => console.log(`    - ${f}`));
+    }
+  }
+
+  if (undeclaredEnvReads.length > 0) {
+    console.log('');
+    console.log('Undeclared env inputs (variables read but not declared as { "env": ... } inputs):');
+    undeclaredEnvReads.forEach(f => console.log(`  - ${f.name}: add { "env": "${f.name}" } to inputs`));
+  }
+
+  if (phantomDependencies.length > 0) {
+    console.log('');
+    console.log('Phantom dependencies (packages read that are not in the dependency tree of package.json):');
+    console.log('They only resolve because the package manager hoisted them: add them to package.json.');
+    phantomDependencies.forEach(p => console.log(`  - ${p.name}@${p.version}`));
+  }
+
+  if (undeclaredExternalDependencies.length > 0) {
+    const basis = undeclaredExternalDependencies[0].hashedBy === 'externalDependencies'
+      ? 'its externalDependencies input'
+      : 'its executor package';
+    console.log('');
+    console.log(`Undeclared external dependencies (packages read that Nx does not hash for this task, it only hashes ${basis}):`);
+    undeclaredExternalDependencies.forEach(p => console.log(`  - ${p.name}@${p.version}`));
+    console.log(`  Add to inputs: { "externalDependencies": [${undeclaredExternalDependencies.map(p => `"${p.name}"`).join(', ')}] }`);
+  }
+
+  if (undeclaredWrites.length > 0) {
+    console.log('');
+    console.log('Undeclared outputs (files written but not in any task outputs):');
+    undeclaredWrites.forEach(f => console.log(`  - ${f.path}`));
+  }
 }
 
 /**
- * Check if a file matches any task's declared outputs
+ * Tracing backends: each runs a command and returns { exitCode, reads, writes, probes, listings, deletes, missing, external, connects }
+ * `limitations` lists accesses the backend cannot see, printed with the results
+ * `attributesTasks`: accesses are split per Nx task (results.byTask), needed to trace run-many/affected
  */
-function findMatchingOutputTask(filePath, taskConfigs) {
-  for (const config of taskConfigs) {
-    if (matchesPatterns(filePath, config.outputs, config.root)) {
-      return config.project;
+const TRACE_BACKENDS = {
+  strace: { platform: 'linux', trace: traceLinux, attributesTasks: true },
+  ebpf: {
+    platform: 'linux',
+    trace: traceEbpf,
+    attributesTasks: true,
+    limitations: ['Network connections are not traced', `Paths longer than ${CONFIG.ebpfStrlen - 1} characters are truncated; their accesses are dropped and listed`],
+  },
+  preload: {
+    platform: 'linux',
+    trace: traceLdPreload,
+    attributesTasks: true,
+    limitations: [
+      'Statically linked binaries (e.g. Go tools like esbuild) do not load the shim; their I/O is not traced',
+      'Raw syscalls that bypass libc are not traced (e.g. Node/libuv stat via statx)',
+    ],
+  },
+  fs_usage: {
+    platform: 'macos',
+    trace: traceMacOS,
+    // fs_usage sees every process on the machine, so only workspace paths can be told apart
+    limitations: ['Network connections and reads outside the workspace are not traced'],
+  },
+};
+
+const DEFAULT_BACKENDS = { linux: 'strace', macos: 'fs_usage' };
+
+// Nx commands traced as a whole in one session, instead of a single <project>:<target>
+const MULTI_TASK_COMMANDS = ['run-many', 'affected'];
+
+// Options of those commands that pick and schedule tasks: `nx run` would pass them to the
+// executor, so reruns of single tasks leave them out (name -> whether it takes a value)
+const MULTI_TASK_OPTIONS = {
+  targets: true, target: true, t: true, projects: true, p: true, exclude: true, all: false,
+  parallel: true, maxParallel: true, 'max-parallel': true, base: true, head: true, files: true,
+  uncommitted: false, untracked: false, nxBail: false, 'nx-bail': false,
+};
+
+// Tracer options (everything else is passed through to nx)
+// The tracer- prefix keeps them apart from the task's own options, such as eslint's --fix and --format
+const TRACER_OPTIONS = {
+  'tracer-backend': 'string',
+  'tracer-format': 'string',
+  'tracer-output-json': 'string',
+  'tracer-output-sarif': 'string',
+  'tracer-output-junit': 'string',
+  'tracer-fix': 'boolean',
+  'tracer-dry-run': 'boolean',
+  'tracer-verify': 'boolean',
+  'tracer-check-determinism': 'boolean',
+  'tracer-env': 'boolean',
+  'tracer-baseline': 'string',
+  'tracer-update-baseline': 'boolean',
+  'tracer-fail-on': 'string',
+  'tracer-strict': 'boolean',
+};
+
+// --tracer-fail-on categories: name -> findings array in the JSON report
+const FAIL_ON_CATEGORIES = {
+  reads: 'undeclaredReads',
+  writes: 'undeclaredWrites',
+  'cross-project': 'crossProjectReads',
+  'negative-deps': 'negativeDependencies',
+  env: 'undeclaredEnvReads',
+  'phantom-deps': 'phantomDependencies',
+  'external-deps': 'undeclaredExternalDependencies',
+  'missing-project-deps': 'missingProjectDependencies',
+  'missing-task-deps': 'missingTaskDependencies',
+  external: 'externalAccess',
+  'unused-inputs': 'unusedInputs',
+  'over-declared-outputs': 'overDeclaredOutputs',
+  nondeterministic: 'nonDeterministicOutputs',
+};
+
+// Without --tracer-fail-on: the undeclared I/O listed under "UNDECLARED I/O DETECTED"
+const DEFAULT_FAIL_ON = ['reads', 'writes', 'cross-project', 'negative-deps', 'env', 'phantom-deps', 'external-deps', 'missing-project-deps', 'missing-task-deps'];
+
+/**
+ * Categories that fail the run: --tracer-fail-on=<list>, `all`, `none`, or --tracer-strict for all of them
+ * Returns null for an unknown category.
+ */
+function parseFailOn(options) {
+  if (options.strict) return Object.keys(FAIL_ON_CATEGORIES);
+  if (options.failOn === undefined) return DEFAULT_FAIL_ON;
+  const names = options.failOn.split(',').map(n => n.trim()).filter(Boolean);
+  if (names.includes('all')) return Object.keys(FAIL_ON_CATEGORIES);
+  if (names.includes('none')) return [];
+  return names.every(n => FAIL_ON_CATEGORIES[n]) ? names : null;
+}
+
+/**
+ * Exit code of a run and the --tracer-fail-on categories that have findings ({ name: count })
+ */
+function getRunOutcome(report, failOn) {
+  const failingCategories = Object.fromEntries(failOn
+    .map(name => [name, report[FAIL_ON_CATEGORIES[name]]?.length || 0])
+    .filter(([, count]) => count > 0));
+  let exitCode = EXIT_CODES.success;
+  if (report.exitCode !== 0) {
+    exitCode = EXIT_CODES.taskFailed;
+  } else if (Object.keys(failingCategories).length > 0) {
+    exitCode = EXIT_CODES.findings;
+  }
+  return { exitCode, failOn, failingCategories };
+}
+
+// Machine-readable formats: with --tracer-format=<name>, stdout is only the report
+const REPORT_FORMATS = {
+  json: (report) => JSON.stringify(report, null, 2) + '\n',
+  sarif: (report) => JSON.stringify(buildSarifReport([report]), null, 2) + '\n',
+  junit: (report) => buildJunitReport([report]),
+};
+
+/**
+ * Split tracer options from the args passed through to nx
+ * Accepts both --name=value and --name value; --tracer-output-json is read as options.outputJson
+ */
+function parseTracerArgs(args) {
+  const options = {};
+  const nxArgs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z][\w-]*)(?:=(.*))?$/);
+    if (!match || !TRACER_OPTIONS[match[1]]) {
+      nxArgs.push(args[i]);
+      continue;
+    }
+    const [, name, inlineValue] = match;
+    const key = name.replace(/^tracer-/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    if (TRACER_OPTIONS[name] === 'boolean') {
+      options[key] = inlineValue === undefined ? true : inlineValue !== 'false';
+    } else {
+      options[key] = inlineValue ?? args[++i];
     }
   }
-  return null;
+
+  return { options, nxArgs };
 }
 
 async function main() {
   const args = process.argv.slice(2);
 
-  if (args.length === 0 || !args[0].includes(':')) {
-    console.log('Usage: [sudo] node tracer-nx.mjs <project>:<target> [nx-options]');
+  const multiTask = MULTI_TASK_COMMANDS.includes(args[0]);
+  if (args.length === 0 || (!multiTask && !args[0].includes(':'))) {
+    console.log('Usage: [sudo] node tracer-nx.mjs <project>:<target>|run-many|affected [--tracer-backend=strace|ebpf|preload|fs_usage] [--tracer-format=text|json|sarif|junit] [--tracer-output-json|--tracer-output-sarif|--tracer-output-junit <file>] [--tracer-env] [--tracer-verify] [--tracer-check-determinism] [--tracer-fix [--tracer-dry-run]] [--tracer-baseline <file> [--tracer-update-baseline]] [--tracer-fail-on=<categories>|--tracer-strict] [nx-options]');
     console.log('Example: sudo node tracer-nx.mjs data-processor:process-data --skip-nx-cache');
-    process.exit(1);
+    console.log('Example: sudo node tracer-nx.mjs affected -t lint,test --base=main');
+    process.exit(EXIT_CODES.tracerError);
   }
 
-  const [project, target] = args[0].split(':');
-  const extraArgs = args.slice(1); // Pass through any additional args to nx
+  // run-many / affected: no main task, every task Nx runs is validated against its own config
+  const [project, target] = multiTask ? [null, null] : args[0].split(':');
+  const { options, nxArgs: extraArgs } = parseTracerArgs(args.slice(1)); // Pass through any additional args to nx
+  const commandArgs = multiTask ? ['nx', args[0], ...extraArgs] : getNxRunArgs(`${project}:${target}`, extraArgs);
   const currentPlatform = getPlatform();
+  const backendName = options.backend || DEFAULT_BACKENDS[currentPlatform];
+  const startedAt = new Date();
+
+  const format = options.format || 'text';
+  if (format !== 'text' && !REPORT_FORMATS[format]) {
+    console.error(`Error: Unknown --tracer-format "${format}". Use one of: text, ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    process.exit(EXIT_CODES.tracerError);
+  }
+  if (options.updateBaseline && !options.baseline) {
+    console.error('Error: --tracer-update-baseline needs --tracer-baseline <file>');
+    process.exit(EXIT_CODES.tracerError);
+  }
+  const failOn = parseFailOn(options);
+  if (!failOn) {
+    console.error(`Error: Unknown --tracer-fail-on category in "${options.failOn}". Use all, none or a list of: ${Object.keys(FAIL_ON_CATEGORIES).join(', ')}`);
+    process.exit(EXIT_CODES.tracerError);
+  }
+  // Read the baseline up front so a broken file fails before the trace
+  let baseline = null;
+  if (options.baseline && !options.updateBaseline) {
+    try {
+      baseline = readBaseline(resolve(options.baseline));
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(EXIT_CODES.tracerError);
+    }
+  }
+  if (format !== 'text') {
+    // Keep stdout for the report: progress and the task's own output go to stderr
+    console.log = console.error;
+    CONFIG.taskStdio = ['inherit', process.stderr, 'inherit'];
+  }
+
+  try {
+    CONFIG.tracer = loadTracerConfig(CONFIG.workspaceRoot);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CODES.tracerError);
+  }
 
   console.log('='.repeat(60));
   console.log('Nx I/O Tracer - File Access Monitor');
   console.log('='.repeat(60));
   console.log(`Platform: ${currentPlatform}`);
+  console.log(`Backend: ${backendName}`);
   console.log(`Workspace: ${CONFIG.workspaceRoot}`);
-  console.log(`Project: ${project}`);
-  console.log(`Target: ${target}`);
+  console.log(`Config: ${CONFIG.tracer.source || 'defaults'}`);
+  if (multiTask) {
+    console.log(`Command: ${commandArgs.join(' ')}`);
+  } else {
+    console.log(`Project: ${project}`);
+    console.log(`Target: ${target}`);
+  }
   console.log('');
 
   if (currentPlatform === 'unsupported') {
     console.error(`Error: Unsupported platform "${platform()}". Use macOS or Linux.`);
-    process.exit(1);
+    process.exit(EXIT_CODES.tracerError);
+  }
+
+  const backend = TRACE_BACKENDS[backendName];
+  if (!backend) {
+    console.error(`Error: Unknown backend "${backendName}". Use one of: ${Object.keys(TRACE_BACKENDS).join(', ')}`);
+    process.exit(EXIT_CODES.tracerError);
+  }
+  if (backend.platform !== currentPlatform) {
+    console.error(`Error: Backend "${backendName}" is not available on ${currentPlatform}.`);
+    process.exit(EXIT_CODES.tracerError);
+  }
+  if (multiTask && !backend.attributesTasks) {
+    console.error(`Error: Backend "${backendName}" cannot split accesses per task, so it cannot trace nx ${args[0]}. Trace one <project>:<target> at a time.`);
+    process.exit(EXIT_CODES.tracerError);
   }
 
   // Get Nx project configurations for all tasks in the dependency chain
+  // (run-many / affected: the tasks are only known once traced, so load every project up front)
   console.log('[tracer] Fetching Nx project configurations...');
-  const taskConfigs = getTaskConfig(project, target);
+  if (multiTask) loadProjectConfigs();
+  let taskConfigs = multiTask ? [] : getTaskConfig(project, target);
 
   // Check if main task is cacheable
   const mainTask = taskConfigs.find(c => c.project === project);
@@ -754,218 +3888,275 @@ async function main() {
     console.log('');
   }
 
-  console.log(`[tracer] Found ${taskConfigs.length} task(s) to trace:`);
-  for (const config of taskConfigs) {
-    const cacheStatus = config.cache ? '✓ cacheable' : '✗ not cacheable';
-    console.log(`[tracer]   - ${config.project}:${config.target.name || target} (${config.inputs.length} inputs, ${config.outputs.length} outputs) [${cacheStatus}]`);
+  if (!multiTask) {
+    console.log(`[tracer] Found ${taskConfigs.length} task(s) to trace:`);
+    for (const config of taskConfigs) {
+      const cacheStatus = config.cache ? '✓ cacheable' : '✗ not cacheable';
+      console.log(`[tracer]   - ${config.project}:${config.targetName} (${config.inputs.length} inputs, ${config.outputs.length} outputs) [${cacheStatus}]`);
+    }
   }
 
   // Get resolved file inputs using HashPlanInspector (Nx's internal logic)
-  console.log('[tracer] Getting resolved inputs via HashPlanInspector...');
-  const resolvedInputs = getResolvedInputs(project, target);
-  if (resolvedInputs) {
-    console.log(`[tracer] Found ${resolvedInputs.size} resolved file inputs`);
+  let resolvedInputs = null;
+  if (!multiTask) {
+    console.log('[tracer] Getting resolved inputs via HashPlanInspector...');
+    resolvedInputs = getResolvedInputs(project, target);
+    if (resolvedInputs) {
+      console.log(`[tracer] Found ${resolvedInputs.size} resolved file inputs`);
+    }
   }
   console.log('');
 
   // Warm up Nx cache to avoid tracing project graph generation
   warmUpNxCache();
 
+  if (options.env) {
+    CONFIG.taskEnv = prepareEnvTracing(currentPlatform);
+  }
+
   // Run the Nx command with tracing
   const command = 'npx';
-  const commandArgs = ['nx', 'run', `${project}:${target}`, ...extraArgs];
 
-  let results;
-  if (currentPlatform === 'macos') {
-    results = await traceMacOS(command, commandArgs);
-  } else {
-    results = await traceLinux(command, commandArgs);
-  }
+  const traceStart = Date.now();
+  const results = await backend.trace(command, commandArgs);
+  const traceMs = Date.now() - traceStart;
 
   console.log('');
   console.log(`[tracer] Process exited with code ${results.exitCode}`);
+  const taskExitCodes = readNxTaskExitCodes(traceStart);
 
-  // Filter out Nx infrastructure files (project.json, tsconfig.json, etc.)
-  const taskReads = results.reads.filter(f => !isNxInfrastructure(f));
-  const taskWrites = results.writes.filter(f => !isNxInfrastructure(f));
+  const envLog = options.env ? readEnvLog() : null;
+  if (envLog) {
+    const readCount = Object.values(envLog.byTask).reduce((n, names) => n + names.length, 0);
+    console.log(`[tracer] Traced ${readCount} env variable read(s) by ${Object.keys(envLog.byTask).length} task(s)`);
+  }
 
-  // Get project root for filtering
-  const projectRoot = taskConfigs[0]?.root || '';
+  if (backend.limitations) {
+    console.log('');
+    console.log(`⚠️  The ${backendName} backend cannot see some accesses:`);
+    backend.limitations.forEach(l => console.log(`   - ${l}`));
+    if (results.untracedPrograms?.length > 0) {
+      console.log('   Statically linked programs run by this task (NOT traced):');
+      results.untracedPrograms.forEach(p => console.log(`     - ${p}`));
+    }
+    if (results.truncatedPaths?.length > 0) {
+      console.log('   Paths truncated by bpftrace (NOT analyzed, use --tracer-backend=strace to see them):');
+      results.truncatedPaths.slice(0, 10).forEach(p => console.log(`     - ${p}…`));
+      if (results.truncatedPaths.length > 10) console.log(`     ... and ${results.truncatedPaths.length - 10} more`);
+    }
+  }
 
   // Get all project roots to detect cross-project reads (using project graph)
-  let allProjectRoots = new Set();
-  try {
-    const script = `
-const { createProjectGraphAsync } = require('@nx/devkit');
-async function main() {
-  const graph = await createProjectGraphAsync();
-  const roots = Object.values(graph.nodes).map(n => n.data.root).filter(Boolean);
-  console.log(JSON.stringify(roots));
-}
-main();
-`;
-    const output = execSync(`node -e "${script.replace(/"/g, '\\"').replace(/\n/g, ' ')}"`, {
-      cwd: CONFIG.workspaceRoot,
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    });
-    const roots = JSON.parse(output.trim());
-    allProjectRoots = new Set(roots);
-  } catch {}
-
-  // Helper to check if a file is in another project (not the current one)
-  const isInOtherProject = (filePath) => {
-    for (const root of allProjectRoots) {
-      if (root !== projectRoot && (filePath.startsWith(root + '/') || filePath === root)) {
-        return root;
-      }
+  const workspaceProjects = getWorkspaceProjects();
+  const allProjectRoots = new Set(workspaceProjects.map(p => p.root).filter(Boolean));
+
+  // Validate each task against its own config when accesses could be attributed to the
+  // Nx task whose processes performed them; otherwise against every task in the chain
+  const mainTaskId = multiTask ? null : `${project}:${target}`;
+  const attributedTasks = Object.keys(results.byTask || {});
+  // Each task to validate: its config, the configs a file may be declared by, and its accesses
+  const tasksToAnalyze = [];
+
+  if (attributedTasks.length > 0) {
+    console.log(`[tracer] Attributed file accesses to ${attributedTasks.length} task(s): ${attributedTasks.join(', ')}`);
+    if (results.unattributed > 0) {
+      console.log(`[tracer] Ignoring ${results.unattributed} access(es) made outside any task (Nx orchestration)`);
     }
-    return null;
-  };
+    // One inspector run for every task besides the main one (resolved before the trace)
+    const otherTasks = attributedTasks.filter(taskId => taskId !== mainTaskId);
+    const otherResolvedInputs = otherTasks.length > 0 ? getResolvedInputsByTask(otherTasks) : null;
+    for (const taskId of attributedTasks) {
+      const separator = taskId.indexOf(':');
+      const taskProject = taskId.slice(0, separator);
+      const taskTarget = taskId.slice(separator + 1);
+
+      let config = taskConfigs.find(c => c.project === taskProject && c.targetName === taskTarget);
+      if (!config) {
+        try {
+          config = getNxProjectConfig(taskProject, taskTarget);
+        } catch (err) {
+          console.log(`[tracer] Skipping ${taskId}: ${err.message}`);
+          continue;
+        }
+      }
 
-  // Helper to check if a file is relevant to this project
-  // (in project root, or in a shared location like libs/)
-  const isRelevantToProject = (filePath) => {
-    // Files in the project root are always relevant
-    if (filePath.startsWith(projectRoot + '/') || filePath === projectRoot) {
-      return true;
+      tasksToAnalyze.push({
+        taskId,
+        config,
+        configs: [config],
+        accesses: removeIgnoredAccesses(results.byTask[taskId], config),
+        resolvedInputs: taskId === mainTaskId ? resolvedInputs : otherResolvedInputs?.get(taskId) ?? null,
+        envNames: envLog ? envLog.byTask[taskId] || [] : null,
+      });
     }
-    // Root-level files might be relevant (e.g., shared configs)
-    if (!filePath.includes('/')) {
-      return true;
+    if (multiTask) {
+      taskConfigs = tasksToAnalyze.map(t => t.config);
     }
-    // Files in other projects/directories are likely Nx scanning, not task I/O
-    return false;
-  };
-
-  // Helper to check if file is in resolved inputs (from HashPlanInspector)
-  const isInResolvedInputs = (filePath) => {
-    if (!resolvedInputs) return false;
-    return resolvedInputs.has(filePath);
-  };
+  } else if (multiTask) {
+    // Every task was cached (or none matched): nothing ran, so there is nothing to check
+    console.log(`[tracer] No task ran under nx ${args[0]}; use --skip-nx-cache to trace cached tasks`);
+  } else {
+    tasksToAnalyze.push({
+      taskId: mainTaskId,
+      config: mainTask || taskConfigs[0],
+      configs: taskConfigs,
+      accesses: removeIgnoredAccesses(results, mainTask || taskConfigs[0]),
+      resolvedInputs,
+      envNames: envLog ? [...new Set(Object.values(envLog.byTask).flat())].sort() : null,
+    });
+  }
 
-  // Compare against declared inputs/outputs across ALL tasks
-  // Filter out directories and files outside the project
-  // Use HashPlanInspector resolved inputs if available, fall back to pattern matching
-  const undeclaredReads = taskReads.filter(f => {
-    if (isDirectory(f)) return false;
-    if (!isRelevantToProject(f)) return false;
-    // Check HashPlanInspector resolved inputs first
-    if (isInResolvedInputs(f)) return false;
-    // Fall back to pattern matching
-    if (findMatchingInputTask(f, taskConfigs)) return false;
-    return true;
-  });
-  const undeclaredWrites = taskWrites.filter(
-    f => !isDirectory(f) && isRelevantToProject(f) && !findMatchingOutputTask(f, taskConfigs)
-  );
+  const rawResults = tasksToAnalyze.map(({ taskId, config, configs, accesses, resolvedInputs: taskResolvedInputs, envNames }) => ({
+    ...analyzeTaskAccesses(taskId, configs, accesses, taskResolvedInputs, allProjectRoots),
+    ...analyzeEnvReads(taskId, configs, envNames),
+    externalAccess: analyzeExternalAccess(taskId, accesses),
+    ...analyzePackageReads(taskId, config, accesses),
+    unusedInputs: analyzeUnusedInputs(taskId, config, accesses, taskResolvedInputs, allProjectRoots),
+    overDeclaredOutputs: analyzeOverDeclaredOutputs(taskId, config, accesses, taskResolvedInputs, workspaceProjects),
+    ...analyzeProjectDependencies(taskId, config, accesses, workspaceProjects),
+    config,
+    configLocations: getConfigLocations(config),
+  }));
+
+  // Before suppressions and the baseline, which cover non-deterministic outputs too
+  const rerunArgs = multiTask ? getSingleTaskArgs(extraArgs) : extraArgs;
+  const nonDeterministicOutputs = options.checkDeterminism
+    ? await checkDeterminism(rawResults, new Map(tasksToAnalyze.map(t => [t.taskId, t.resolvedInputs])), rerunArgs)
+    : [];
+  const analyzedResults = rawResults
+    .map(r => ({ ...r, nonDeterministicOutputs: nonDeterministicOutputs.filter(d => d.taskId === r.taskId) }))
+    .map(applySuppressions);
+
+  // --tracer-baseline: findings recorded in the baseline file are known, only new ones are reported
+  const analyzedTaskIds = analyzedResults.map(r => r.taskId);
+  const currentEntries = getBaselineEntries(analyzedResults);
+  const taskResults = baseline ? analyzedResults.map(r => removeBaselineFindings(r, baseline)) : analyzedResults;
+  const baselineComparison = baseline
+    ? { file: options.baseline, ...compareWithBaseline(baseline, currentEntries, getBaselineEntries(taskResults), analyzedTaskIds) }
+    : null;
+
+  taskResults.forEach(printTaskResults);
+  if (options.checkDeterminism) {
+    printNonDeterministicOutputs(taskResults.flatMap(r => r.nonDeterministicOutputs));
+  }
 
-  // Detect cross-project reads (files from other projects that aren't in resolved inputs)
-  // These indicate missing ^ dependency inputs
-  const crossProjectReads = taskReads.filter(f => {
-    if (isDirectory(f)) return false;
-    const otherProject = isInOtherProject(f);
-    if (!otherProject) return false;
-    // Check if this cross-project file is in resolved inputs (via ^ dependency)
-    if (isInResolvedInputs(f)) return false;
-    return true;
-  });
+  const undeclaredReads = taskResults.flatMap(r => r.undeclaredReads);
+  const undeclaredWrites = taskResults.flatMap(r => r.undeclaredWrites);
+  const crossProjectReads = taskResults.flatMap(r => r.crossProjectReads);
+  const negativeDependencies = taskResults.flatMap(r => r.negativeDependencies);
+  const negativeLookups = taskResults.flatMap(r => r.negativeLookups.map(path => ({ taskId: r.taskId, path })));
+  const undeclaredEnvReads = taskResults.flatMap(r => r.undeclaredEnvReads);
+  const phantomDependencies = taskResults.flatMap(r => r.phantomDependencies);
+  const undeclaredExternalDependencies = taskResults.flatMap(r => r.undeclaredExternalDependencies);
+  const missingProjectDependencies = taskResults.flatMap(r => r.missingProjectDependencies);
+  const missingTaskDependencies = taskResults.flatMap(r => r.missingTaskDependencies);
+
+  if (undeclaredReads.length === 0 && undeclaredWrites.length === 0 && crossProjectReads.length === 0 && negativeDependencies.length === 0 &&
+    undeclaredEnvReads.length === 0 && phantomDependencies.length === 0 && undeclaredExternalDependencies.length === 0 &&
+    missingProjectDependencies.length === 0 && missingTaskDependencies.length === 0) {
+    console.log('');
+    console.log(baselineComparison ? '✅ No undeclared I/O beyond the baseline' : '✅ All I/O matches declared inputs/outputs');
+  }
 
-  // Print results
-  console.log('');
-  console.log('='.repeat(60));
-  console.log('TRACING RESULTS');
-  console.log('='.repeat(60));
+  if (baselineComparison) {
+    const { knownCount, newFindings, fixedFindings } = baselineComparison;
+    console.log('');
+    console.log(`BASELINE (${options.baseline}): ${knownCount} known finding(s) hidden, ${newFindings.length} new, ${fixedFindings.length} fixed`);
+    if (fixedFindings.length > 0) {
+      console.log('Fixed since the baseline (remove them with --tracer-update-baseline):');
+      fixedFindings.forEach(e => console.log(`  - [${e.rule}] ${e.taskId}: ${e.subject}`));
+    }
+  }
 
-  // Filter to only show files relevant to the project
-  const relevantReads = taskReads.filter(f => isRelevantToProject(f) && !isDirectory(f));
-  const relevantWrites = taskWrites.filter(f => isRelevantToProject(f) && !isDirectory(f));
+  if (options.updateBaseline) {
+    const total = writeBaseline(resolve(options.baseline), currentEntries, analyzedTaskIds);
+    console.log('');
+    console.log(`[tracer] Recorded ${currentEntries.length} finding(s) of ${analyzedTaskIds.length} task(s) in ${options.baseline} (${total} in total)`);
+  }
 
-  console.log('');
-  console.log(`FILES READ (${relevantReads.length} files in project scope):`);
-  if (relevantReads.length === 0) {
-    console.log('  (none detected in project scope)');
-  } else {
-    relevantReads.forEach(f => {
-      // Check resolved inputs first, then pattern matching
-      if (isInResolvedInputs(f)) {
-        console.log(`  ✓ ${f}`);
-      } else if (findMatchingInputTask(f, taskConfigs)) {
-        console.log(`  ✓ ${f}`);
-      } else {
-        console.log(`  ✗ ${f}`);
-      }
-    });
+  // Replay before --tracer-fix so the reruns use the config the trace was checked against
+  const verification = options.verify ? await verifyUndeclaredReads(taskResults, rerunArgs) : null;
+
+  // --tracer-dry-run on its own implies --tracer-fix
+  const fixes = options.fix || options.dryRun ? runConfigFixes(taskResults, { dryRun: !!options.dryRun }) : null;
+
+  const report = buildJsonReport({
+    taskId: mainTaskId,
+    command: commandArgs.join(' '),
+    backendName,
+    taskConfigs,
+    taskResults,
+    results,
+    taskExitCodes,
+    verification,
+    nonDeterministicOutputs: options.checkDeterminism ? taskResults.flatMap(r => r.nonDeterministicOutputs) : null,
+    fixes,
+    baseline: baselineComparison,
+    failOn,
+    timing: {
+      startedAt: startedAt.toISOString(),
+      totalMs: Date.now() - startedAt.getTime(),
+      traceMs,
+    },
+  });
+  const outputFiles = [
+    [options.outputJson, 'json'],
+    [options.outputSarif, 'sarif'],
+    [options.outputJunit, 'junit'],
+  ];
+  for (const [file, fileFormat] of outputFiles) {
+    if (!file) continue;
+    writeFileSync(resolve(file), REPORT_FORMATS[fileFormat](report));
+    console.log(`[tracer] Wrote ${fileFormat} report to ${file}`);
   }
 
+  const { exitCode, failingCategories } = report.outcome;
   console.log('');
-  console.log(`FILES WRITTEN (${relevantWrites.length} files in project scope):`);
-  if (relevantWrites.length === 0) {
-    console.log('  (none detected in project scope)');
+  if (exitCode === EXIT_CODES.taskFailed) {
+    console.log(`[tracer] Exit code ${exitCode}: the traced task failed (exit code ${results.exitCode})`);
+  } else if (exitCode === EXIT_CODES.findings) {
+    console.log(`[tracer] Exit code ${exitCode}: findings in ${Object.entries(failingCategories).map(([name, count]) => `${name} (${count})`).join(', ')}`);
   } else {
-    relevantWrites.forEach(f => {
-      const matchingTask = findMatchingOutputTask(f, taskConfigs);
-      if (matchingTask) {
-        console.log(`  ✓ ${f}`);
-      } else {
-        console.log(`  ✗ ${f}`);
-      }
-    });
+    console.log(`[tracer] Exit code ${exitCode}: no findings in ${failOn.length > 0 ? failOn.join(', ') : '(--tracer-fail-on=none)'}`);
   }
 
-  // Print mismatches
-  if (undeclaredReads.length > 0 || undeclaredWrites.length > 0 || crossProjectReads.length > 0) {
-    console.log('');
-    console.log('='.repeat(60));
-    console.log('⚠️  UNDECLARED I/O DETECTED');
-    console.log('='.repeat(60));
-
-    if (undeclaredReads.length > 0) {
-      console.log('');
-      console.log('Undeclared inputs (files read but not in any task inputs):');
-      undeclaredReads.forEach(f => console.log(`  - ${f}`));
-    }
-
-    if (crossProjectReads.length > 0) {
-      console.log('');
-      console.log('Cross-project reads (missing ^ dependency inputs):');
-      console.log('These files from OTHER projects were read but are not in inputs.');
-      console.log('Add "^{projectRoot}/**/*" or similar to include dependency files.');
-      crossProjectReads.forEach(f => {
-        const otherProj = isInOtherProject(f);
-        console.log(`  - ${f} (from ${otherProj})`);
-      });
-    }
-
-    if (undeclaredWrites.length > 0) {
-      console.log('');
-      console.log('Undeclared outputs (files written but not in any task outputs):');
-      undeclaredWrites.forEach(f => console.log(`  - ${f}`));
-    }
-  } else {
-    console.log('');
-    console.log('✅ All I/O matches declared inputs/outputs');
+  if (format !== 'text') {
+    await new Promise(r => process.stdout.write(REPORT_FORMATS[format](report), r));
+    return exitCode;
   }
 
   // JSON output
   console.log('');
   console.log('JSON OUTPUT:');
   console.log(JSON.stringify({
-    tasks: taskConfigs.map(c => `${c.project}:${target}`),
+    tasks: taskConfigs.map(c => `${c.project}:${c.targetName}`),
+    attributedTasks,
+    backend: backendName,
     // reads: taskReads,
     // writes: taskWrites,
     undeclaredReads,
     undeclaredWrites,
     crossProjectReads,
+    negativeLookups,
+    negativeDependencies,
+    undeclaredEnvReads,
+    phantomDependencies,
+    undeclaredExternalDependencies,
+    missingProjectDependencies,
+    missingTaskDependencies,
+    untracedPrograms: results.untracedPrograms || [],
+    truncatedPaths: results.truncatedPaths || [],
     exitCode: results.exitCode,
   }, null, 2));
+
+  return exitCode;
 }
 
 main()
-  .then(() => {
-    process.exit(0);
+  .then((exitCode) => {
+    process.exit(exitCode);
   })
   .catch(err => {
     console.error(err);
-    process.exit(1);
+    process.exit(EXIT_CODES.tracerError);
   });